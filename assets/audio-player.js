@@ -0,0 +1,917 @@
+/**
+ * Audio Player
+ * Plays speech samples as a mini cassette - reels wind with the playback
+ * position - over a waveform or an STFT spectrogram computed in the browser
+ *
+ * Declared in Markdown around plain <audio> tags, which stay the fallback
+ * when Web Audio is unavailable. data-src names a clip relative to the
+ * site root (site-paths.js); a plain src is used as is:
+ *   <div class="audio-player" data-title="Support call" data-minion-on="busy:loading">
+ *     <audio controls data-src="clips/clean.wav" data-label="clean"></audio>
+ *     <audio controls data-src="clips/opus_16k.wav" data-label="opus_16k"></audio>
+ *     <audio controls data-src="clips/telephone.wav" data-label="telephone"></audio>
+ *     <audio controls data-src="clips/babble_10db.wav" data-label="babble_10db"></audio>
+ *   </div>
+ *
+ * Several clips make a group: switching between them (buttons or keys
+ * 1-9) keeps the timestamp, and X plays one of them at random for blind
+ * A/B/X guessing. Drag across the view to loop a region; speed changes
+ * work like a tape's varispeed, so pitch follows.
+ */
+
+const PLAYER_RATES = [0.5, 0.75, 1, 1.25, 1.5, 2];
+const PLAYER_REEL_DEG_PER_SECOND = 120;
+const PLAYER_DRAG_THRESHOLD = 4;   // px before a press becomes a loop drag
+const PLAYER_MIN_LOOP = 0.05;      // s
+const PLAYER_SEEK_STEP = 1;        // s per arrow key, x5 with Shift
+
+// Spectrogram - Hann-windowed STFT, magnitudes in dB below the clip's peak
+const PLAYER_FFT_SIZE = 512;
+const PLAYER_MAX_FRAMES = 2048;
+const PLAYER_RANGE_DB = 80;
+
+function formatClipTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+}
+
+// In-place radix-2 FFT; length must be a power of two
+function fftInPlace(re, im) {
+  const n = re.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size / 2;
+    const stepRe = Math.cos(-2 * Math.PI / size);
+    const stepIm = Math.sin(-2 * Math.PI / size);
+
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+}
+
+/**
+ * Levels (0-1) for each frame x frequency bin, low bins first.
+ * The hop grows with the clip so long clips stay within PLAYER_MAX_FRAMES.
+ */
+function computeSpectrogram(samples) {
+  const size = PLAYER_FFT_SIZE;
+  const bins = size / 2;
+  const hop = Math.max(size / 2, Math.ceil(samples.length / PLAYER_MAX_FRAMES));
+  const frames = Math.max(1, Math.floor((samples.length - size) / hop) + 1);
+
+  const hann = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+  }
+
+  const levels = new Float32Array(frames * bins);
+  const re = new Float32Array(size);
+  const im = new Float32Array(size);
+  let peak = -Infinity;
+
+  for (let frame = 0; frame < frames; frame++) {
+    const start = frame * hop;
+    for (let i = 0; i < size; i++) {
+      re[i] = (samples[start + i] || 0) * hann[i];
+      im[i] = 0;
+    }
+    fftInPlace(re, im);
+
+    for (let bin = 0; bin < bins; bin++) {
+      const db = 10 * Math.log10(re[bin] * re[bin] + im[bin] * im[bin] + 1e-12);
+      levels[frame * bins + bin] = db;
+      peak = Math.max(peak, db);
+    }
+  }
+
+  for (let i = 0; i < levels.length; i++) {
+    levels[i] = Math.min(1, Math.max(0, (levels[i] - peak + PLAYER_RANGE_DB) / PLAYER_RANGE_DB));
+  }
+  return { frames, bins, levels };
+}
+
+// ============================================
+// Audio Player
+// ============================================
+class AudioPlayer {
+  static VIEWS = ['waveform', 'spectrogram'];
+
+  constructor(element) {
+    this.element = element;
+
+    element.querySelectorAll('audio[data-src]').forEach(audio => {
+      audio.src = siteUrl(audio.dataset.src);
+    });
+
+    // Clips are read from the <audio> tags, which stay as the fallback
+    this.clips = Array.from(element.querySelectorAll('audio'), (audio, index) => ({
+      audio,
+      src: audio.currentSrc || audio.getAttribute('src') || (audio.querySelector('source') || {}).src,
+      label: audio.dataset.label || `Clip ${index + 1}`,
+      buffer: null,
+      samples: null,
+      spectrogram: null,
+      image: null,
+    })).filter(clip => clip.src);
+    this.title = element.dataset.title || this.clips[0].label;
+
+    this.active = 0;
+    this.hidden = 0;
+    this.xActive = false;
+    this.guesses = { right: 0, total: 0 };
+
+    this.view = 'waveform';
+    this.rate = 1;
+    this.loop = null;
+    this.source = null;
+    this.isPlaying = false;
+    this.startedAt = 0;
+    this.offset = 0;
+    this.task = null;
+    this.frame = null;
+
+    this.build();
+    this.pickHidden();
+
+    this.handleFactionChange = () => {
+      this.clips.forEach(clip => {
+        clip.image = null;
+      });
+      this.draw();
+    };
+    document.addEventListener('faction:change', this.handleFactionChange);
+
+    // Fetch and decode once the player is near the viewport
+    this.loadObserver = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        this.loadObserver.disconnect();
+        this.load();
+      }
+    }, { rootMargin: '200px' });
+    this.loadObserver.observe(this.element);
+  }
+
+  // Share the deck's audio context so playback drives the VU meters
+  get levelMeter() {
+    return window.boombox && window.boombox.tapeDeck && window.boombox.tapeDeck.levelMeter;
+  }
+
+  get tapeDeck() {
+    return window.boombox && window.boombox.tapeDeck;
+  }
+
+  get scheduler() {
+    return window.boombox && window.boombox.scheduler;
+  }
+
+  get context() {
+    if (!this.audioContext) {
+      this.audioContext = this.levelMeter ? this.levelMeter.audioContext : new AudioContext();
+      this.output = new GainNode(this.audioContext);
+      this.output.connect(this.audioContext.destination);
+      if (this.levelMeter) {
+        this.levelMeter.connectNode(this.output);
+      }
+    }
+    return this.audioContext;
+  }
+
+  get playingClip() {
+    return this.clips[this.xActive ? this.hidden : this.active];
+  }
+
+  get duration() {
+    const { buffer } = this.playingClip;
+    return buffer ? buffer.duration : 0;
+  }
+
+  // ----------------------------------------
+  // Markup
+  // ----------------------------------------
+  build() {
+    this.clips.forEach(clip => {
+      clip.audio.pause();
+      clip.audio.hidden = true;
+    });
+
+    this.ui = document.createElement('div');
+    this.ui.className = 'player-ui';
+    this.ui.setAttribute('role', 'group');
+    this.ui.setAttribute('aria-label', `Audio player: ${this.title}`);
+    this.ui.innerHTML = `
+      <div class="player-cassette" aria-hidden="true">
+        <div class="player-label">
+          <span class="player-title"></span>
+          <span class="player-clip"></span>
+        </div>
+        <div class="player-window">
+          <span class="player-reel" data-side="left"></span>
+          <span class="player-reel" data-side="right"></span>
+        </div>
+      </div>
+      <div class="player-view">
+        <canvas class="player-canvas" tabindex="0" role="slider" aria-label="Playback position"
+          aria-valuemin="0" aria-valuemax="0" aria-valuenow="0"></canvas>
+        <div class="player-loop" hidden></div>
+        <div class="player-playhead"></div>
+      </div>
+      <div class="player-transport">
+        <button type="button" class="deck-btn player-play" aria-label="Play" disabled>
+          <span class="btn-icon" aria-hidden="true">▶</span>
+        </button>
+        <span class="player-time">0:00.0 / 0:00.0</span>
+        <label class="player-rate">Speed
+          <select></select>
+        </label>
+        <button type="button" class="player-btn player-view-toggle" aria-pressed="false">Spectrogram</button>
+      </div>
+      <div class="player-loop-controls">
+        <button type="button" class="player-btn" data-loop="in">Loop from here</button>
+        <button type="button" class="player-btn" data-loop="out">Loop to here</button>
+        <button type="button" class="player-btn" data-loop="clear" disabled>Clear loop</button>
+      </div>
+      <p class="player-status" role="status" aria-live="polite"></p>
+    `;
+
+    this.ui.querySelector('.player-title').textContent = this.title;
+    this.clipLabel = this.ui.querySelector('.player-clip');
+    this.reels = Array.from(this.ui.querySelectorAll('.player-reel'));
+    this.canvas = this.ui.querySelector('.player-canvas');
+    this.loopBox = this.ui.querySelector('.player-loop');
+    this.playhead = this.ui.querySelector('.player-playhead');
+    this.playBtn = this.ui.querySelector('.player-play');
+    this.timeText = this.ui.querySelector('.player-time');
+    this.viewBtn = this.ui.querySelector('.player-view-toggle');
+    this.clearLoopBtn = this.ui.querySelector('[data-loop="clear"]');
+    this.status = this.ui.querySelector('.player-status');
+
+    const rateSelect = this.ui.querySelector('.player-rate select');
+    PLAYER_RATES.forEach(rate => {
+      const option = new Option(`${rate}×`, rate, rate === 1, rate === 1);
+      rateSelect.appendChild(option);
+    });
+    rateSelect.addEventListener('change', () => this.setRate(Number(rateSelect.value)));
+
+    this.playBtn.addEventListener('click', () => this.togglePlayback());
+    this.viewBtn.addEventListener('click', () => this.toggleView());
+    this.ui.querySelector('[data-loop="in"]').addEventListener('click', () => this.markLoop('in'));
+    this.ui.querySelector('[data-loop="out"]').addEventListener('click', () => this.markLoop('out'));
+    this.clearLoopBtn.addEventListener('click', () => this.setLoop(null));
+
+    if (this.clips.length > 1) {
+      this.buildGroup();
+    }
+
+    this.bindView();
+    this.element.appendChild(this.ui);
+
+    this.resizeObserver = new ResizeObserver(() => this.draw());
+    this.resizeObserver.observe(this.canvas);
+  }
+
+  // Clip buttons, the hidden X and the guessing row
+  buildGroup() {
+    const group = document.createElement('div');
+    group.className = 'player-clips';
+    group.setAttribute('role', 'group');
+    group.setAttribute('aria-label', 'Clips');
+
+    this.clipBtns = this.clips.map((clip, index) => {
+      const btn = this.button(clip.label, () => this.selectClip(index));
+      btn.classList.add('player-clip-btn');
+      btn.title = `${clip.label} (${index + 1})`;
+      group.appendChild(btn);
+      return btn;
+    });
+
+    this.xBtn = this.button('X', () => this.selectHidden());
+    this.xBtn.classList.add('player-clip-btn');
+    this.xBtn.setAttribute('aria-label', 'X - one of the clips, hidden');
+    this.xBtn.title = 'Hidden clip (X)';
+    group.appendChild(this.xBtn);
+
+    const abx = document.createElement('div');
+    abx.className = 'player-abx';
+    abx.setAttribute('role', 'group');
+    abx.setAttribute('aria-label', 'Which clip is X?');
+    const prompt = document.createElement('span');
+    prompt.textContent = 'X is:';
+    abx.appendChild(prompt);
+    this.clips.forEach((clip, index) => abx.appendChild(this.button(clip.label, () => this.guess(index))));
+
+    this.ui.insertBefore(group, this.status);
+    this.ui.insertBefore(abx, this.status);
+
+    // Number keys switch clips, X picks the hidden one
+    this.ui.addEventListener('keydown', (e) => {
+      if (e.altKey || e.ctrlKey || e.metaKey || e.target.matches('select, input, textarea')) return;
+
+      const index = Number(e.key) - 1;
+      if (Number.isInteger(index) && index >= 0 && index < this.clips.length) {
+        e.preventDefault();
+        this.selectClip(index);
+      } else if (e.key === 'x' || e.key === 'X') {
+        e.preventDefault();
+        this.selectHidden();
+      }
+    });
+  }
+
+  // Click to seek, drag to loop, arrow keys to step
+  bindView() {
+    let press = null;
+
+    this.canvas.addEventListener('pointerdown', (e) => {
+      if (!this.duration || e.button !== 0) return;
+      this.canvas.setPointerCapture(e.pointerId);
+      press = { x: e.clientX, time: this.timeAt(e.clientX), dragging: false };
+    });
+
+    this.canvas.addEventListener('pointermove', (e) => {
+      if (!press) return;
+      if (!press.dragging && Math.abs(e.clientX - press.x) < PLAYER_DRAG_THRESHOLD) return;
+
+      press.dragging = true;
+      const time = this.timeAt(e.clientX);
+      this.renderLoop({ start: Math.min(press.time, time), end: Math.max(press.time, time) });
+    });
+
+    this.canvas.addEventListener('pointerup', (e) => {
+      if (!press) return;
+
+      const time = this.timeAt(e.clientX);
+      if (press.dragging) {
+        const start = Math.min(press.time, time);
+        const end = Math.max(press.time, time);
+        this.setLoop(end - start >= PLAYER_MIN_LOOP ? { start, end } : this.loop);
+      } else {
+        this.seek(time);
+      }
+      press = null;
+    });
+
+    this.canvas.addEventListener('pointercancel', () => {
+      press = null;
+      this.renderLoop(this.loop);
+    });
+
+    this.canvas.addEventListener('keydown', (e) => {
+      if (!this.duration) return;
+
+      const step = PLAYER_SEEK_STEP * (e.shiftKey ? 5 : 1);
+      const moves = {
+        ArrowLeft: -step,
+        ArrowDown: -step,
+        ArrowRight: step,
+        ArrowUp: step,
+      };
+
+      if (e.key in moves) {
+        this.seek(this.currentOffset() + moves[e.key]);
+      } else if (e.key === 'Home') {
+        this.seek(0);
+      } else if (e.key === 'End') {
+        this.seek(this.duration);
+      } else {
+        return;
+      }
+      e.preventDefault();
+    });
+  }
+
+  // ----------------------------------------
+  // Loading
+  // ----------------------------------------
+  async load() {
+    this.element.setAttribute('aria-busy', 'true');
+    this.setStatus('Loading…');
+
+    try {
+      await Promise.all(this.clips.map(async clip => {
+        const response = await fetch(clip.src);
+        if (!response.ok) {
+          throw new Error(`${clip.label}: HTTP ${response.status}`);
+        }
+        clip.buffer = await this.context.decodeAudioData(await response.arrayBuffer());
+        clip.samples = this.mixdown(clip.buffer);
+      }));
+    } catch (err) {
+      this.fallback();
+      return;
+    } finally {
+      this.element.setAttribute('aria-busy', 'false');
+    }
+
+    this.playBtn.disabled = false;
+    this.setStatus('');
+    this.selectClip(0);
+  }
+
+  mixdown(buffer) {
+    const samples = new Float32Array(buffer.length);
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      const data = buffer.getChannelData(channel);
+      for (let i = 0; i < data.length; i++) {
+        samples[i] += data[i] / buffer.numberOfChannels;
+      }
+    }
+    return samples;
+  }
+
+  // Couldn't fetch or decode - hand back the plain <audio> tags
+  fallback() {
+    this.destroy();
+    this.ui.remove();
+    this.clips.forEach(clip => {
+      clip.audio.hidden = false;
+    });
+  }
+
+  // ----------------------------------------
+  // Clips and A/B/X
+  // ----------------------------------------
+  selectClip(index) {
+    this.switchTo(() => {
+      this.active = index;
+      this.xActive = false;
+    });
+  }
+
+  selectHidden() {
+    this.switchTo(() => {
+      this.xActive = true;
+    });
+  }
+
+  // Swap clips at the same timestamp without a gap
+  switchTo(change) {
+    const offset = this.currentOffset();
+    change();
+
+    if (this.isPlaying) {
+      this.restartAt(this.clampToLoop(Math.min(offset, this.duration)));
+    } else {
+      this.offset = Math.min(offset, this.duration);
+    }
+
+    this.clipLabel.textContent = this.xActive ? 'X' : this.playingClip.label;
+    if (this.clipBtns) {
+      this.clipBtns.forEach((btn, index) => {
+        btn.setAttribute('aria-pressed', !this.xActive && index === this.active);
+      });
+      this.xBtn.setAttribute('aria-pressed', this.xActive);
+    }
+
+    this.draw();
+    this.renderPosition();
+  }
+
+  pickHidden() {
+    this.hidden = Math.floor(Math.random() * this.clips.length);
+  }
+
+  guess(index) {
+    const answer = this.clips[this.hidden].label;
+    const right = index === this.hidden;
+    this.guesses.total++;
+    if (right) this.guesses.right++;
+
+    this.setStatus(`${right ? 'Right' : 'Wrong'} - X was ${answer}. ` +
+      `${this.guesses.right} of ${this.guesses.total} correct. X has been shuffled.`);
+
+    // A fresh X for the next round, at the same timestamp if it's playing
+    this.switchTo(() => this.pickHidden());
+  }
+
+  // ----------------------------------------
+  // Playback
+  // ----------------------------------------
+  currentOffset() {
+    if (!this.isPlaying) return this.offset;
+
+    let offset = this.offset + (this.context.currentTime - this.startedAt) * this.rate;
+    if (this.loop && offset >= this.loop.end) {
+      offset = this.loop.start + (offset - this.loop.start) % (this.loop.end - this.loop.start);
+    }
+    return Math.min(offset, this.duration);
+  }
+
+  clampToLoop(offset) {
+    if (this.loop && (offset < this.loop.start || offset >= this.loop.end)) {
+      return this.loop.start;
+    }
+    return offset;
+  }
+
+  togglePlayback() {
+    if (this.isPlaying) {
+      this.stop();
+    } else {
+      this.play();
+    }
+  }
+
+  play() {
+    if (!this.duration) return;
+
+    if (this.context.state === 'suspended') {
+      this.context.resume();
+    }
+
+    // From the top after the tape ran out
+    let offset = this.offset;
+    if (offset >= this.duration - 0.01) {
+      offset = 0;
+    }
+
+    this.isPlaying = true;
+    this.restartAt(this.clampToLoop(offset));
+    this.setDeckPlaying(true);
+    if (this.tapeDeck) {
+      this.tapeDeck.loadTape(this.title);
+    }
+  }
+
+  stop() {
+    this.offset = this.currentOffset();
+    this.isPlaying = false;
+    this.stopSource();
+    this.setDeckPlaying(false);
+  }
+
+  restartAt(offset) {
+    this.stopSource();
+
+    const source = new AudioBufferSourceNode(this.context, {
+      buffer: this.playingClip.buffer,
+      playbackRate: this.rate,
+    });
+    if (this.loop) {
+      source.loop = true;
+      source.loopStart = this.loop.start;
+      source.loopEnd = this.loop.end;
+    }
+    source.connect(this.output);
+    source.onended = () => {
+      if (source === this.source) this.handleEnded();
+    };
+    source.start(0, offset);
+
+    this.source = source;
+    this.offset = offset;
+    this.startedAt = this.context.currentTime;
+  }
+
+  stopSource() {
+    if (this.source) {
+      const source = this.source;
+      this.source = null;
+      source.stop();
+      source.disconnect();
+    }
+  }
+
+  handleEnded() {
+    this.source = null;
+    this.isPlaying = false;
+    this.offset = this.duration;
+    this.setDeckPlaying(false);
+  }
+
+  seek(time) {
+    const offset = Math.min(this.duration, Math.max(0, time));
+    if (this.isPlaying) {
+      this.restartAt(this.clampToLoop(offset));
+    } else {
+      this.offset = offset;
+    }
+    this.renderPosition();
+  }
+
+  // Varispeed - re-anchor the clock so the position doesn't jump
+  setRate(rate) {
+    if (this.isPlaying && this.source) {
+      this.offset = this.currentOffset();
+      this.startedAt = this.context.currentTime;
+      this.source.playbackRate.value = rate;
+    }
+    this.rate = rate;
+  }
+
+  // ----------------------------------------
+  // Looping
+  // ----------------------------------------
+  markLoop(edge) {
+    const here = this.currentOffset();
+    const start = edge === 'in' ? here : (this.loop ? this.loop.start : 0);
+    const end = edge === 'out' ? here : (this.loop ? this.loop.end : this.duration);
+
+    if (end - start < PLAYER_MIN_LOOP) {
+      this.setStatus(edge === 'in' ? 'Loop start must be before its end.' : 'Loop end must be after its start.');
+      return;
+    }
+    this.setLoop({ start, end });
+  }
+
+  setLoop(loop) {
+    const offset = this.currentOffset();
+    this.loop = loop;
+
+    if (this.isPlaying) {
+      this.restartAt(this.clampToLoop(offset));
+    }
+
+    this.clearLoopBtn.disabled = !loop;
+    this.renderLoop(loop);
+    if (loop) {
+      this.setStatus(`Looping ${formatClipTime(loop.start)}–${formatClipTime(loop.end)}`);
+    }
+  }
+
+  renderLoop(loop) {
+    this.loopBox.hidden = !loop || !this.duration;
+    if (this.loopBox.hidden) return;
+
+    this.loopBox.style.left = `${(loop.start / this.duration) * 100}%`;
+    this.loopBox.style.width = `${((loop.end - loop.start) / this.duration) * 100}%`;
+  }
+
+  // ----------------------------------------
+  // Position - playhead, time, reels
+  // ----------------------------------------
+  timeAt(clientX) {
+    const rect = this.canvas.getBoundingClientRect();
+    return Math.min(1, Math.max(0, (clientX - rect.left) / rect.width)) * this.duration;
+  }
+
+  renderPosition() {
+    const duration = this.duration;
+    const offset = this.currentOffset();
+    const progress = duration ? offset / duration : 0;
+
+    this.playhead.style.left = `${progress * 100}%`;
+    this.timeText.textContent = `${formatClipTime(offset)} / ${formatClipTime(duration)}`;
+    this.canvas.setAttribute('aria-valuemax', duration.toFixed(1));
+    this.canvas.setAttribute('aria-valuenow', offset.toFixed(1));
+    this.canvas.setAttribute('aria-valuetext', `${formatClipTime(offset)} of ${formatClipTime(duration)}`);
+
+    // Tape winds from the left reel onto the right
+    this.reels.forEach(reel => {
+      reel.style.setProperty('--tape', reel.dataset.side === 'left' ? 1 - progress : progress);
+      reel.style.setProperty('--angle', `${(offset * PLAYER_REEL_DEG_PER_SECOND) % 360}deg`);
+    });
+  }
+
+  // Follow the playhead while playing - via the boombox scheduler when there is one
+  startTicking() {
+    const tick = () => {
+      this.renderPosition();
+      return this.isPlaying;
+    };
+
+    if (this.scheduler) {
+      if (!this.task) {
+        this.task = this.scheduler.add(() => {
+          const keep = tick();
+          if (!keep) this.task = null;
+          return keep;
+        }, { name: 'audio-player', element: this.element });
+      }
+    } else if (!this.frame) {
+      const loop = () => {
+        this.frame = tick() ? requestAnimationFrame(loop) : null;
+      };
+      this.frame = requestAnimationFrame(loop);
+    }
+  }
+
+  stopTicking() {
+    if (this.task) {
+      this.scheduler.remove(this.task);
+      this.task = null;
+    }
+    if (this.frame) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    this.renderPosition();
+  }
+
+  // ----------------------------------------
+  // Waveform and spectrogram
+  // ----------------------------------------
+  toggleView() {
+    const views = AudioPlayer.VIEWS;
+    this.view = views[(views.indexOf(this.view) + 1) % views.length];
+    this.viewBtn.setAttribute('aria-pressed', this.view === 'spectrogram');
+    this.draw();
+  }
+
+  draw() {
+    const width = Math.round(this.canvas.clientWidth * devicePixelRatio);
+    const height = Math.round(this.canvas.clientHeight * devicePixelRatio);
+    if (!width || !height) return;
+
+    this.canvas.width = width;
+    this.canvas.height = height;
+    const ctx = this.canvas.getContext('2d');
+    const style = getComputedStyle(this.element);
+    ctx.fillStyle = style.getPropertyValue('--clr-bg').trim() || '#111';
+    ctx.fillRect(0, 0, width, height);
+
+    const clip = this.playingClip;
+    this.renderLoop(this.loop);
+    if (!clip || !clip.samples) return;
+
+    // Drawing X would give the answer away
+    if (this.xActive) {
+      ctx.fillStyle = style.getPropertyValue('--clr-text-muted').trim() || '#888';
+      ctx.fillRect(0, height / 2, width, Math.max(1, devicePixelRatio));
+      ctx.font = `${12 * devicePixelRatio}px monospace`;
+      ctx.textAlign = 'center';
+      ctx.fillText('X - hidden', width / 2, height / 2 - 8 * devicePixelRatio);
+      return;
+    }
+
+    if (this.view === 'spectrogram') {
+      this.drawSpectrogram(ctx, clip, style, width, height);
+    } else {
+      this.drawWaveform(ctx, clip, style, width, height);
+    }
+  }
+
+  // Min/max per pixel column
+  drawWaveform(ctx, clip, style, width, height) {
+    const { samples } = clip;
+    const perColumn = samples.length / width;
+    const middle = height / 2;
+
+    ctx.fillStyle = style.getPropertyValue('--faction-primary').trim() || '#9370db';
+    for (let x = 0; x < width; x++) {
+      const start = Math.floor(x * perColumn);
+      const end = Math.max(start + 1, Math.floor((x + 1) * perColumn));
+      let min = 1;
+      let max = -1;
+      for (let i = start; i < end && i < samples.length; i++) {
+        if (samples[i] < min) min = samples[i];
+        if (samples[i] > max) max = samples[i];
+      }
+      if (max < min) continue;
+      ctx.fillRect(x, middle - max * middle, 1, Math.max(1, (max - min) * middle));
+    }
+  }
+
+  // Computed once per clip, coloured background -> faction colour -> white
+  drawSpectrogram(ctx, clip, style, width, height) {
+    if (!clip.spectrogram) {
+      clip.spectrogram = computeSpectrogram(clip.samples);
+    }
+
+    if (!clip.image) {
+      const { frames, bins, levels } = clip.spectrogram;
+      const low = this.colorChannels(style.getPropertyValue('--clr-bg').trim() || '#111');
+      const mid = this.colorChannels(style.getPropertyValue('--faction-primary').trim() || '#9370db');
+      const high = [255, 255, 255];
+
+      const image = new ImageData(frames, bins);
+      for (let frame = 0; frame < frames; frame++) {
+        for (let bin = 0; bin < bins; bin++) {
+          const level = levels[frame * bins + bin];
+          const [from, to, t] = level < 0.5 ? [low, mid, level * 2] : [mid, high, level * 2 - 1];
+          const i = ((bins - 1 - bin) * frames + frame) * 4;
+          image.data[i] = from[0] + (to[0] - from[0]) * t;
+          image.data[i + 1] = from[1] + (to[1] - from[1]) * t;
+          image.data[i + 2] = from[2] + (to[2] - from[2]) * t;
+          image.data[i + 3] = 255;
+        }
+      }
+
+      clip.image = document.createElement('canvas');
+      clip.image.width = frames;
+      clip.image.height = bins;
+      clip.image.getContext('2d').putImageData(image, 0, 0);
+    }
+
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(clip.image, 0, 0, width, height);
+  }
+
+  // Any CSS colour as [r, g, b]
+  colorChannels(color) {
+    if (!this.swatch) {
+      this.swatch = document.createElement('canvas').getContext('2d', { willReadFrequently: true });
+    }
+    this.swatch.clearRect(0, 0, 1, 1);
+    this.swatch.fillStyle = color;
+    this.swatch.fillRect(0, 0, 1, 1);
+    return Array.from(this.swatch.getImageData(0, 0, 1, 1).data.slice(0, 3));
+  }
+
+  // ----------------------------------------
+  // Helpers
+  // ----------------------------------------
+  button(text, onClick) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'player-btn';
+    btn.textContent = text;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  setStatus(text) {
+    this.status.textContent = text;
+  }
+
+  // Spin the deck's reels, light the meters and follow the playhead
+  setDeckPlaying(playing) {
+    // Other widgets may still be playing through the deck
+    const slot = document.querySelector('.deck-slot');
+    let deckPlaying = playing;
+    if (this.tapeDeck) {
+      deckPlaying = this.tapeDeck.setPlaying(this, playing);
+    } else if (slot) {
+      slot.classList.toggle('playing', playing);
+    }
+    this.element.classList.toggle('playing', playing);
+
+    this.playBtn.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+    this.playBtn.querySelector('.btn-icon').textContent = playing ? '❚❚' : '▶';
+
+    if (this.levelMeter) {
+      if (playing) {
+        this.levelMeter.markPlaying(this);
+      } else {
+        this.levelMeter.markStopped(this);
+      }
+    }
+
+    if (playing) {
+      this.startTicking();
+    } else {
+      this.stopTicking();
+      if (this.tapeDeck && !deckPlaying) {
+        this.tapeDeck.releaseTape();
+      }
+    }
+  }
+
+  destroy() {
+    if (this.isPlaying) {
+      this.stop();
+    }
+    this.loadObserver.disconnect();
+    this.resizeObserver.disconnect();
+    document.removeEventListener('faction:change', this.handleFactionChange);
+  }
+}
+
+// ============================================
+// Initialization
+// ============================================
+let audioPlayers = [];
+
+function setupAudioPlayers(root) {
+  root.querySelectorAll('.audio-player').forEach(element => {
+    if (element.querySelector('audio[src], audio > source[src]') && window.AudioContext) {
+      audioPlayers.push(new AudioPlayer(element));
+    }
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => setupAudioPlayers(document));
+
+// Content swapped in by the tape deck - stop anything left playing
+document.addEventListener('tapedeck:swap', (e) => {
+  audioPlayers.forEach(player => player.destroy());
+  audioPlayers = [];
+  setupAudioPlayers(e.detail.viewport);
+});
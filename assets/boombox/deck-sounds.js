@@ -0,0 +1,241 @@
+// ============================================
+// Deck Sounds - synthesised tape-deck effects
+// Clunk, hiss, rewind whirr and static crackle, all made with
+// Web Audio - no sound files. Off until the reader turns them
+// on; the level is remembered and audio starts on a user gesture
+// ============================================
+export class DeckSounds {
+  static LEVELS = ['off', 'low', 'high'];
+  static VOLUMES = { off: 0, low: 0.25, high: 0.6 };
+  static STORAGE_KEY = 'deck-sounds';
+
+  // getContext: returns the shared AudioContext (the VU meters' graph)
+  constructor(getContext) {
+    this.getContext = getContext;
+    this.listeners = new Set();
+    this.master = null;
+    this.noise = null;
+    this.hiss = null;
+    this.unlocked = false;
+
+    let stored = null;
+    try {
+      stored = localStorage.getItem(DeckSounds.STORAGE_KEY);
+    } catch (err) {
+      // Storage unavailable - start silent
+    }
+    this.level = DeckSounds.LEVELS.includes(stored) ? stored : 'off';
+
+    // Browsers only start audio from a gesture
+    const unlock = () => this.unlock();
+    ['pointerdown', 'keydown'].forEach(type => {
+      document.addEventListener(type, unlock, { once: true, capture: true });
+    });
+  }
+
+  setLevel(level) {
+    if (!DeckSounds.LEVELS.includes(level) || level === this.level) return;
+
+    this.level = level;
+    try {
+      localStorage.setItem(DeckSounds.STORAGE_KEY, level);
+    } catch (err) {
+      // Not remembered, but still applies for this page
+    }
+    if (level === 'off') {
+      this.stopHiss();
+    }
+    if (this.master) {
+      this.master.gain.setTargetAtTime(DeckSounds.VOLUMES[level], this.master.context.currentTime, 0.05);
+    }
+    this.listeners.forEach(listener => listener(level));
+  }
+
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  unlock() {
+    this.unlocked = true;
+    if (this.level === 'off') return;
+
+    const context = this.getContext();
+    if (context && context.state === 'suspended') {
+      context.resume();
+    }
+  }
+
+  // The context with the master gain wired up, or null when silent
+  ready() {
+    if (this.level === 'off' || !this.unlocked) return null;
+
+    const context = this.getContext();
+    if (!context) return null;
+    if (context.state === 'suspended') {
+      context.resume();
+    }
+
+    if (!this.master) {
+      this.master = new GainNode(context, { gain: DeckSounds.VOLUMES[this.level] });
+      this.master.connect(context.destination);
+
+      // A second of white noise feeds every effect
+      this.noise = context.createBuffer(1, context.sampleRate, context.sampleRate);
+      const data = this.noise.getChannelData(0);
+      for (let i = 0; i < data.length; i++) {
+        data[i] = Math.random() * 2 - 1;
+      }
+    }
+    return context;
+  }
+
+  // Filtered noise with an exponential decay, or held while looping
+  playNoise(context, { start, duration = 0, filter, gain, loop = false, buffer = this.noise }) {
+    const source = new AudioBufferSourceNode(context, { buffer, loop });
+    const shaped = new BiquadFilterNode(context, filter);
+    const envelope = new GainNode(context, { gain: 0 });
+
+    envelope.gain.setValueAtTime(gain, start);
+    if (!loop) {
+      envelope.gain.exponentialRampToValueAtTime(0.001, start + duration);
+    }
+
+    source.connect(shaped).connect(envelope).connect(this.master);
+    source.start(start, loop ? Math.random() * 0.5 : 0);
+    if (!loop) {
+      source.stop(start + duration + 0.02);
+    }
+    return { source, envelope };
+  }
+
+  // Cassette dropping onto the spindles: low thump and a plastic click
+  clunk() {
+    const context = this.ready();
+    if (!context) return;
+
+    const t = context.currentTime;
+    const thump = new OscillatorNode(context, { type: 'sine', frequency: 90 });
+    const thumpGain = new GainNode(context, { gain: 0.8 });
+    thump.frequency.exponentialRampToValueAtTime(40, t + 0.12);
+    thumpGain.gain.setValueAtTime(0.8, t);
+    thumpGain.gain.exponentialRampToValueAtTime(0.001, t + 0.15);
+    thump.connect(thumpGain).connect(this.master);
+    thump.start(t);
+    thump.stop(t + 0.16);
+
+    this.playNoise(context, { start: t, duration: 0.03, filter: { type: 'highpass', frequency: 2500 }, gain: 0.5 });
+    this.playNoise(context, { start: t + 0.05, duration: 0.06, filter: { type: 'bandpass', frequency: 800, Q: 2 }, gain: 0.4 });
+  }
+
+  // Tape hiss under a page load
+  startHiss() {
+    const context = this.ready();
+    if (!context || this.hiss) return;
+
+    const t = context.currentTime;
+    this.hiss = this.playNoise(context, { start: t, filter: { type: 'highpass', frequency: 4000 }, gain: 0, loop: true });
+    this.hiss.envelope.gain.linearRampToValueAtTime(0.08, t + 0.15);
+  }
+
+  stopHiss() {
+    if (!this.hiss) return;
+
+    const { source, envelope } = this.hiss;
+    const t = envelope.context.currentTime;
+    envelope.gain.cancelScheduledValues(t);
+    envelope.gain.setValueAtTime(envelope.gain.value, t);
+    envelope.gain.linearRampToValueAtTime(0, t + 0.2);
+    source.stop(t + 0.25);
+    this.hiss = null;
+  }
+
+  /**
+   * Rewind motor spinning up; returns a function that spins it down.
+   * Runs until stopped so it matches however long the rewind takes.
+   */
+  whirr() {
+    const context = this.ready();
+    if (!context) return () => { };
+
+    const t = context.currentTime;
+    const motor = new OscillatorNode(context, { type: 'sawtooth', frequency: 120 });
+    const tone = new BiquadFilterNode(context, { type: 'lowpass', frequency: 1200 });
+    const motorGain = new GainNode(context, { gain: 0 });
+    motor.frequency.exponentialRampToValueAtTime(320, t + 0.3);
+    motorGain.gain.linearRampToValueAtTime(0.08, t + 0.05);
+    motor.connect(tone).connect(motorGain).connect(this.master);
+    motor.start(t);
+
+    const tape = this.playNoise(context, { start: t, filter: { type: 'bandpass', frequency: 1500, Q: 1 }, gain: 0.06, loop: true });
+
+    return () => {
+      const end = context.currentTime;
+      motor.frequency.cancelScheduledValues(end);
+      motor.frequency.setValueAtTime(motor.frequency.value, end);
+      motor.frequency.exponentialRampToValueAtTime(60, end + 0.12);
+      motorGain.gain.cancelScheduledValues(end);
+      motorGain.gain.setValueAtTime(motorGain.gain.value, end);
+      motorGain.gain.linearRampToValueAtTime(0, end + 0.12);
+      tape.envelope.gain.setValueAtTime(tape.envelope.gain.value, end);
+      tape.envelope.gain.linearRampToValueAtTime(0, end + 0.1);
+      motor.stop(end + 0.15);
+      tape.source.stop(end + 0.15);
+    };
+  }
+
+  // Static crackle for a noise burst - sparse pops over faint hiss
+  crackle(duration = 200, intensity = 0.3) {
+    const context = this.ready();
+    if (!context) return;
+
+    const seconds = duration / 1000;
+    const buffer = context.createBuffer(1, Math.ceil(context.sampleRate * seconds), context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+      const pop = Math.random() < 0.002 ? (Math.random() * 2 - 1) : 0;
+      data[i] = pop + (Math.random() * 2 - 1) * 0.05;
+    }
+
+    this.playNoise(context, {
+      start: context.currentTime,
+      duration: seconds,
+      filter: { type: 'highpass', frequency: 1000 },
+      gain: Math.min(1, intensity * 1.5),
+      buffer
+    });
+  }
+}
+
+// ============================================
+// Sound Toggle - deck button cycling off / low / high
+// ============================================
+export class SoundToggle {
+  static LABELS = {
+    off: 'Deck sounds: off',
+    low: 'Deck sounds: low',
+    high: 'Deck sounds: high'
+  };
+
+  constructor(button, sounds) {
+    this.button = button;
+    this.sounds = sounds;
+
+    this.button.addEventListener('click', () => {
+      const order = DeckSounds.LEVELS;
+      this.sounds.setLevel(order[(order.indexOf(this.sounds.level) + 1) % order.length]);
+      // The click itself is the gesture that may start audio
+      this.sounds.unlock();
+      this.sounds.clunk();
+    });
+
+    this.sounds.onChange(() => this.render());
+    this.render();
+  }
+
+  render() {
+    this.button.dataset.level = this.sounds.level;
+    this.button.setAttribute('aria-label', SoundToggle.LABELS[this.sounds.level]);
+    this.button.title = SoundToggle.LABELS[this.sounds.level];
+  }
+}
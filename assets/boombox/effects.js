@@ -0,0 +1,91 @@
+// ============================================
+// Effects Settings - global off / reduced / full level
+// Defaults to the OS reduced-motion preference until the
+// user picks a level; every effect consults it before animating.
+// Key, levels and default come from the pre-paint script
+// (effects-level.js) passed in as rules
+// ============================================
+export class EffectsSettings {
+  constructor(rules) {
+    this.rules = rules;
+    this.listeners = new Set();
+
+    const stored = rules.stored();
+    this.userChosen = stored !== null;
+    this.level = stored || rules.systemLevel();
+    this.apply();
+
+    // Follow OS changes until the user makes a choice
+    rules.media.addEventListener('change', () => {
+      if (!this.userChosen) {
+        this.setLevel(rules.systemLevel(), false);
+      }
+    });
+  }
+
+  get isFull() {
+    return this.level === 'full';
+  }
+
+  get isReduced() {
+    return this.level === 'reduced';
+  }
+
+  get isOff() {
+    return this.level === 'off';
+  }
+
+  setLevel(level, persist = true) {
+    if (!this.rules.LEVELS.includes(level)) return;
+
+    if (persist) {
+      this.userChosen = true;
+      this.rules.store(level);
+    }
+
+    if (level === this.level) return;
+    this.level = level;
+    this.apply();
+    this.listeners.forEach(listener => listener(level));
+  }
+
+  apply() {
+    this.rules.apply(this.level);
+  }
+
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// ============================================
+// Effects Toggle - cycles full -> reduced -> off
+// ============================================
+export class EffectsToggle {
+  static LABELS = {
+    full: 'Effects: full',
+    reduced: 'Effects: reduced',
+    off: 'Effects: off'
+  };
+
+  constructor(button, effects) {
+    this.button = button;
+    this.effects = effects;
+
+    this.button.addEventListener('click', () => {
+      const order = ['full', 'reduced', 'off'];
+      const next = order[(order.indexOf(this.effects.level) + 1) % order.length];
+      this.effects.setLevel(next);
+    });
+
+    this.effects.onChange(() => this.render());
+    this.render();
+  }
+
+  render() {
+    this.button.dataset.level = this.effects.level;
+    this.button.setAttribute('aria-label', EffectsToggle.LABELS[this.effects.level]);
+    this.button.title = EffectsToggle.LABELS[this.effects.level];
+  }
+}
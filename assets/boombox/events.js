@@ -0,0 +1,52 @@
+/**
+ * Boombox Events
+ * Public events page widgets can subscribe to instead of reaching
+ * into the bootstrap:
+ *   section:change      { section, previous }  another tape was loaded
+ *   faction:change      { faction, variant }   theme applied (variant resolved)
+ *   deck:load-start     { section }            tape inserted, page fetching
+ *   deck:load-complete  { section }            new page swapped in
+ *   minion:state        { minion, from, to }   bubbles up from the minion
+ *   effects:change      { level }              off / reduced / full
+ *
+ * Every event is a CustomEvent on document, so classic scripts can
+ * listen with document.addEventListener and read e.detail; modules
+ * can use the bus, which hands listeners the detail directly:
+ *   const off = events.on('section:change', ({ section }) => { ... });
+ */
+
+export class EventBus {
+  static EVENTS = [
+    'section:change',
+    'faction:change',
+    'deck:load-start',
+    'deck:load-complete',
+    'minion:state',
+    'effects:change'
+  ];
+
+  constructor(target = document) {
+    this.target = target;
+  }
+
+  // Returns a function that removes the listener
+  on(type, listener) {
+    const handler = (e) => listener(e.detail);
+    this.target.addEventListener(type, handler);
+    return () => this.target.removeEventListener(type, handler);
+  }
+
+  once(type, listener) {
+    const off = this.on(type, (detail) => {
+      off();
+      listener(detail);
+    });
+    return off;
+  }
+
+  emit(type, detail = {}) {
+    this.target.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+}
+
+export const events = new EventBus();
@@ -0,0 +1,141 @@
+// ============================================
+// Faction Toggle Controller
+// Buttons come from the theme registry (themes.js)
+// ============================================
+export class FactionToggle {
+  static VARIANT_ORDER = [null, 'dark', 'light', 'contrast'];
+  static VARIANT_LABELS = {
+    auto: 'Theme: auto (follows system)',
+    dark: 'Theme: dark',
+    light: 'Theme: light',
+    contrast: 'Theme: high contrast'
+  };
+
+  constructor(registry, noiseGenerator) {
+    this.registry = registry;
+    this.noiseGenerator = noiseGenerator;
+    this.container = document.querySelector('.faction-toggle');
+    this.variantBtn = document.querySelector('.variant-btn');
+    this.choice = registry.load();
+    this.buttons = this.createButtons();
+    this.listeners = new Set();
+    this.applied = null;
+
+    this.init();
+  }
+
+  get currentFaction() {
+    return this.choice.faction;
+  }
+
+  createButtons() {
+    if (!this.container) return [];
+
+    const buttons = Array.from(this.registry.factions.values(), theme => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'faction-btn';
+      btn.dataset.faction = theme.id;
+      btn.setAttribute('aria-label', `${theme.name} faction (${theme.description})`);
+      btn.title = theme.name;
+
+      const icon = document.createElement('span');
+      icon.className = 'faction-icon';
+      icon.setAttribute('aria-hidden', 'true');
+      icon.textContent = theme.icon;
+      btn.appendChild(icon);
+      return btn;
+    });
+
+    this.container.prepend(...buttons);
+    return buttons;
+  }
+
+  init() {
+    this.apply(false);
+
+    // Button click handlers
+    this.buttons.forEach(btn => {
+      btn.addEventListener('click', () => {
+        const faction = btn.dataset.faction;
+        if (faction !== this.currentFaction) {
+          this.setFaction(faction, true);
+        }
+      });
+    });
+
+    if (this.variantBtn) {
+      this.variantBtn.addEventListener('click', () => {
+        const order = FactionToggle.VARIANT_ORDER;
+        this.setVariant(order[(order.indexOf(this.choice.variant) + 1) % order.length]);
+      });
+    }
+
+    // Follow OS changes until the user picks a variant
+    [this.registry.lightQuery, this.registry.contrastQuery].forEach(query => {
+      query.addEventListener('change', () => {
+        if (!this.choice.variant) {
+          this.apply(false);
+        }
+      });
+    });
+
+    // Another tab changed the theme
+    window.addEventListener('storage', (e) => {
+      if (e.key === this.registry.constructor.STORAGE_KEY || e.key === null) {
+        this.choice = this.registry.load();
+        this.apply(false);
+      }
+    });
+  }
+
+  setFaction(faction, animate = true) {
+    this.choice = { ...this.choice, faction };
+    this.registry.save(this.choice);
+    this.apply(animate);
+  }
+
+  setVariant(variant) {
+    this.choice = { ...this.choice, variant };
+    this.registry.save(this.choice);
+    this.apply(false);
+  }
+
+  apply(animate) {
+    const { theme, variant } = this.registry.apply(this.choice);
+
+    // Update button states
+    this.buttons.forEach(btn => {
+      btn.setAttribute('aria-pressed', btn.dataset.faction === theme.id);
+    });
+
+    if (this.variantBtn) {
+      const key = this.choice.variant || 'auto';
+      this.variantBtn.dataset.variant = key;
+      this.variantBtn.setAttribute('aria-label', FactionToggle.VARIANT_LABELS[key]);
+      this.variantBtn.title = FactionToggle.VARIANT_LABELS[key];
+    }
+
+    if (this.noiseGenerator) {
+      this.noiseGenerator.setTint(theme.noiseTint);
+
+      // Visual feedback
+      if (animate) {
+        this.noiseGenerator.burst(150, 0.3);
+      }
+    }
+
+    // Tell listeners only when the resolved theme actually changed
+    const previous = this.applied;
+    this.applied = { faction: theme.id, variant };
+    if (previous && (previous.faction !== theme.id || previous.variant !== variant)) {
+      this.listeners.forEach(listener => listener(this.applied));
+    }
+  }
+
+  // listener({ faction, variant }) - variant is the resolved one, never null
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
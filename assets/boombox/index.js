@@ -0,0 +1,24 @@
+/**
+ * Boombox Public API
+ * Import from here rather than from the individual modules:
+ *   import { events, animationScheduler } from './boombox/index.js';
+ *
+ * Classes are exported so they can be built and tested on their own
+ * with a DOM stub. The page's running instances (tape deck, minion
+ * controller, ...) are created by transformers.js on DOMContentLoaded
+ * and exposed as window.boombox.
+ */
+
+export { EventBus, events } from './events.js';
+export { AnimationScheduler, animationScheduler } from './scheduler.js';
+export { EffectsSettings, EffectsToggle } from './effects.js';
+export { NoiseGenerator } from './noise-generator.js';
+export { Minion, MinionRegistry, minionRegistry, Ravage, Laserbeak } from './minions.js';
+export { MinionController } from './minion-controller.js';
+export { RatbatHunt } from './ratbat-hunt.js';
+export { PagePrefetcher } from './prefetcher.js';
+export { LevelMeter } from './level-meter.js';
+export { DeckSounds, SoundToggle } from './deck-sounds.js';
+export { TapeDeck } from './tape-deck.js';
+export { FactionToggle } from './faction-toggle.js';
+export { setupChromaticText, setupVisibilityHandler } from './page.js';
@@ -0,0 +1,243 @@
+import { animationScheduler } from './scheduler.js';
+
+// ============================================
+// Level Meter - drives the deck's VU meters
+// Real per-channel levels from playing same-origin (or CORS) <audio> via an
+// AnalyserNode; idle flicker when nothing is playing
+// ============================================
+export class LevelMeter {
+  static FLOOR_DB = -48;
+  static ATTACK = 0.03;     // seconds to rise toward a louder level
+  static RELEASE = 0.45;    // seconds to fall toward a quieter level
+  static PEAK_HOLD = 1200;  // ms a peak marker stays put
+  static PEAK_FALL = 24;    // dB per second once the hold expires
+
+  // meters: [left, right] in markup order
+  constructor(meters, effects = null) {
+    this.meters = Array.from(meters);
+    this.effects = effects;
+
+    this.context = null;
+    this.sources = new WeakMap();
+    this.playing = new Set();
+    this.channels = this.meters.map(() => ({
+      level: LevelMeter.FLOOR_DB,
+      peak: LevelMeter.FLOOR_DB,
+      peakTime: 0
+    }));
+
+    this.task = null;
+
+    // Media events don't bubble - listen in the capture phase so
+    // audio swapped in by the tape deck is picked up too
+    document.addEventListener('play', (e) => this.handlePlay(e.target), true);
+    ['pause', 'ended', 'emptied'].forEach(type => {
+      document.addEventListener(type, (e) => this.handleStop(e.target), true);
+    });
+
+    // Owners swapped out with the old page may never report stopping
+    document.addEventListener('tapedeck:swap', () => this.prune());
+
+    if (this.effects) {
+      this.effects.onChange(() => this.start());
+    }
+  }
+
+  // Shared context so other widgets can feed Web Audio nodes into the meters
+  get audioContext() {
+    if (!this.context) {
+      this.createGraph();
+    }
+    return this.context;
+  }
+
+  createGraph() {
+    this.context = new AudioContext();
+
+    // Upmix mono sources to both sides before splitting
+    this.bus = new GainNode(this.context, {
+      channelCount: 2,
+      channelCountMode: 'explicit',
+      channelInterpretation: 'speakers'
+    });
+
+    const splitter = this.context.createChannelSplitter(2);
+    this.bus.connect(splitter);
+
+    this.analysers = [0, 1].map(channel => {
+      const analyser = this.context.createAnalyser();
+      analyser.fftSize = 2048;
+      splitter.connect(analyser, channel);
+      return analyser;
+    });
+    this.buffer = new Float32Array(2048);
+  }
+
+  // Meter an arbitrary node created on audioContext; pair with
+  // markPlaying/markStopped so the meters know when it is live
+  connectNode(node) {
+    if (!this.context) {
+      this.createGraph();
+    }
+    node.connect(this.bus);
+  }
+
+  connectElement(audio) {
+    if (this.sources.has(audio) || !LevelMeter.canMeter(audio)) return;
+
+    try {
+      const source = this.audioContext.createMediaElementSource(audio);
+      source.connect(this.context.destination);
+      source.connect(this.bus);
+      this.sources.set(audio, source);
+    } catch (err) {
+      // Already routed through another graph - leave it unmetered
+      this.sources.set(audio, null);
+    }
+  }
+
+  handlePlay(target) {
+    if (!(target instanceof HTMLAudioElement)) return;
+
+    this.connectElement(target);
+    if (this.sources.get(target)) {
+      this.markPlaying(target);
+    }
+  }
+
+  handleStop(target) {
+    this.markStopped(target);
+  }
+
+  // Cross-origin audio fetched without CORS would play as silence once
+  // routed through the graph, so it is left alone
+  static canMeter(audio) {
+    if (audio.crossOrigin !== null) return true;
+    try {
+      return new URL(audio.currentSrc || audio.src, document.baseURI).origin === window.location.origin;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  // owner: an <audio> element or a widget with an element
+  markPlaying(owner) {
+    if (this.audioContext.state === 'suspended') {
+      this.context.resume();
+    }
+
+    this.playing.add(owner);
+    this.start();
+  }
+
+  markStopped(owner) {
+    if (!this.playing.delete(owner)) return;
+    this.start();
+  }
+
+  prune() {
+    let pruned = false;
+    this.playing.forEach(owner => {
+      const node = owner instanceof Node ? owner : owner.element;
+      if (node && !node.isConnected) {
+        this.playing.delete(owner);
+        pruned = true;
+      }
+    });
+
+    if (pruned) {
+      this.start();
+    }
+  }
+
+  // The scheduler stops both loops while the tab is hidden or the deck is off screen
+  start() {
+    this.stop();
+
+    // Meters rest at zero with effects off
+    if (this.effects && this.effects.isOff) {
+      this.render(false);
+      return;
+    }
+
+    const element = this.meters[0] ? this.meters[0].parentElement : null;
+    if (this.playing.size > 0 && this.analysers) {
+      this.task = animationScheduler.add((now, dt) => this.measure(now, dt), { name: 'vu-meters', element });
+    } else {
+      // Reduced effects: slow, gentle updates
+      const fps = this.effects && this.effects.isReduced ? 1 : 10;
+      this.task = animationScheduler.add(() => this.idle(), { name: 'vu-meters-idle', priority: 'decorative', fps, element });
+    }
+  }
+
+  stop() {
+    animationScheduler.remove(this.task);
+    this.task = null;
+  }
+
+  idle() {
+    this.meters.forEach(meter => {
+      // Randomized levels for visual interest
+      const level = 40 + Math.random() * 50;
+      meter.style.setProperty('--level', `${level}%`);
+      meter.classList.remove('metering');
+    });
+  }
+
+  measure(now, elapsed) {
+    const dt = elapsed / 1000;
+
+    this.analysers.forEach((analyser, i) => {
+      const channel = this.channels[i];
+      if (!channel) return;
+
+      analyser.getFloatTimeDomainData(this.buffer);
+
+      let sumSquares = 0;
+      let peak = 0;
+      for (let j = 0; j < this.buffer.length; j++) {
+        const sample = this.buffer[j];
+        sumSquares += sample * sample;
+        peak = Math.max(peak, Math.abs(sample));
+      }
+
+      const rmsDb = LevelMeter.toDb(Math.sqrt(sumSquares / this.buffer.length));
+      this.applyBallistics(channel, rmsDb, LevelMeter.toDb(peak), dt, now);
+    });
+
+    this.render(true);
+  }
+
+  // Fast attack, slow release, peak hold then a steady fall
+  applyBallistics(channel, rmsDb, peakDb, dt, now) {
+    const timeConstant = rmsDb > channel.level ? LevelMeter.ATTACK : LevelMeter.RELEASE;
+    channel.level += (rmsDb - channel.level) * (1 - Math.exp(-dt / timeConstant));
+
+    if (peakDb >= channel.peak) {
+      channel.peak = peakDb;
+      channel.peakTime = now;
+    } else if (now - channel.peakTime > LevelMeter.PEAK_HOLD) {
+      channel.peak = Math.max(channel.level, channel.peak - LevelMeter.PEAK_FALL * dt);
+    }
+  }
+
+  render(live) {
+    this.meters.forEach((meter, i) => {
+      const channel = this.channels[i];
+      const level = live ? LevelMeter.toPercent(channel.level) : 0;
+      const peak = live ? LevelMeter.toPercent(channel.peak) : 0;
+
+      meter.style.setProperty('--level', `${level}%`);
+      meter.style.setProperty('--peak', `${peak}%`);
+      meter.classList.toggle('metering', live);
+    });
+  }
+
+  static toDb(amplitude) {
+    return amplitude > 0 ? Math.max(LevelMeter.FLOOR_DB, 20 * Math.log10(amplitude)) : LevelMeter.FLOOR_DB;
+  }
+
+  static toPercent(db) {
+    return Math.min(100, Math.max(0, (1 - db / LevelMeter.FLOOR_DB) * 100));
+  }
+}
@@ -0,0 +1,311 @@
+import { Minion } from './minions.js';
+
+// ============================================
+// Minion Controller - Manages idle behaviors
+// Mounts the registered minions found on the page and
+// picks one (by weight) whenever a behaviour is called for
+//
+// Content declares reactions as trigger:behaviour pairs:
+//   <div data-minion-on="copy:pounce">    copied from (copy event or
+//                                         a bubbling codeblock:copy)
+//   <div data-minion-on="busy:loading">   while it has aria-busy="true"
+// Reactions land in the margin beside their element - never over
+// the text column - and are skipped when there's no room or one
+// has played within REACTION_COOLDOWN. Idle and scroll-pause peeks
+// are likewise spaced by PEEK_COOLDOWN.
+// ============================================
+export class MinionController {
+  static REACTION_COOLDOWN = 20000;
+  static PEEK_COOLDOWN = 45000;
+  static MARGIN_GAP = 12;
+
+  // Fallback peeks from the screen edges when no heading is in view
+  static PEEK_POSITIONS = [
+    { x: 'calc(100% - 100px)', y: 'calc(100% - 20px)', peekY: 'calc(100% - 80px)' },
+    { x: '20px', y: 'calc(100% - 20px)', peekY: 'calc(100% - 80px)' },
+    { x: 'calc(100% - 100px)', y: '20px', peekY: '60px' },
+  ];
+
+  constructor(registry, effects = null) {
+    this.registry = registry;
+    this.effects = effects;
+    this.minions = new Map();
+    this.tracker = null;
+    this.loader = null;
+    this.loadingAnchor = null;
+    this.idleTimer = null;
+    this.scrollTimer = null;
+    this.lastReaction = -Infinity;
+    this.lastPeek = -Infinity;
+
+    registry.names().forEach(name => this.add(name));
+    this.setupIdleDetection();
+    this.setupReactions();
+
+    if (this.effects) {
+      this.effects.onChange(() => {
+        if (!this.effects.isFull) this.hideAllMinions();
+      });
+    }
+
+    document.addEventListener('visibilitychange', () => {
+      this.minions.forEach(minion => document.hidden ? minion.pause() : minion.resume());
+    });
+  }
+
+  /**
+   * Mount a registered minion. The element defaults to the type's
+   * selector; returns the minion, or null if it isn't on the page.
+   */
+  add(name, element = null) {
+    const type = this.registry.get(name);
+    if (!type) {
+      throw new Error(`Unknown minion "${name}"`);
+    }
+
+    this.remove(name);
+    element = element || document.querySelector(type.selector);
+    if (!element) return null;
+
+    const minion = new type.minion(element, this.effects);
+    minion.mount();
+    this.minions.set(name, minion);
+    return minion;
+  }
+
+  remove(name) {
+    const minion = this.minions.get(name);
+    if (!minion) return;
+
+    if (this.tracker === minion) this.tracker = null;
+    if (this.loader === minion) this.loader = null;
+    minion.unmount();
+    this.minions.delete(name);
+  }
+
+  get(name) {
+    return this.minions.get(name) || null;
+  }
+
+  /**
+   * Weighted random choice among mounted minions with the behaviour,
+   * skipping any already tracking or acting
+   */
+  pick(behaviour, filter = () => true) {
+    // A type undefined at runtime keeps its mounted minion but isn't picked
+    const candidates = Array.from(this.minions, ([name, minion]) => {
+      const type = this.registry.get(name);
+      return { minion, weight: (type && type.behaviours[behaviour]) || 0 };
+    }).filter(candidate => candidate.weight > 0 && !candidate.minion.isBusy && filter(candidate.minion));
+
+    let roll = Math.random() * candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+    for (const candidate of candidates) {
+      roll -= candidate.weight;
+      if (roll < 0) return candidate.minion;
+    }
+    return null;
+  }
+
+  setupIdleDetection() {
+    const resetIdle = () => {
+      clearTimeout(this.idleTimer);
+      this.hideIdleMinions();
+      this.idleTimer = setTimeout(() => this.triggerPeek(), Minion.TRIGGERS.IDLE_TIMEOUT);
+    };
+
+    ['mousemove', 'keydown', 'scroll', 'click'].forEach(event => {
+      document.addEventListener(event, resetIdle, { passive: true });
+    });
+
+    // Stopping to read after a scroll draws a peek
+    document.addEventListener('scroll', () => {
+      clearTimeout(this.scrollTimer);
+      this.scrollTimer = setTimeout(() => this.triggerPeek(), Minion.TRIGGERS.SCROLL_PAUSE);
+    }, { passive: true });
+
+    resetIdle();
+  }
+
+  // ----------------------------------------
+  // Behaviours
+  // ----------------------------------------
+  triggerPeek() {
+    if (this.effects && !this.effects.isFull) return;
+
+    // Not after every pause while reading
+    const now = performance.now();
+    if (now - this.lastPeek < MinionController.PEEK_COOLDOWN) return;
+
+    const minion = this.pick('peek', candidate => candidate.isHidden);
+    if (!minion) return;
+    this.lastPeek = now;
+
+    const heading = this.headingInView();
+    const spot = heading && this.marginSpot(heading.getBoundingClientRect(), minion.element.getBoundingClientRect());
+    if (spot) {
+      minion.peek({ x: `${spot.x}px`, y: `${spot.y + 30}px`, peekY: `${spot.y}px` });
+    } else {
+      const positions = MinionController.PEEK_POSITIONS;
+      minion.peek(positions[Math.floor(Math.random() * positions.length)]);
+    }
+  }
+
+  track(position) {
+    this.untrack();
+    this.tracker = this.pick('track');
+    if (!this.tracker) return;
+
+    this.tracker.element.classList.remove('peeking');
+    this.tracker.element.style.left = position.x;
+    this.tracker.element.style.top = position.y;
+    this.tracker.show();
+    this.tracker.startTracking();
+  }
+
+  untrack() {
+    if (!this.tracker) return;
+
+    this.tracker.stopTracking();
+    this.tracker.hide();
+    this.tracker = null;
+  }
+
+  prowl() {
+    const minion = this.pick('prowl');
+    if (minion) minion.prowl();
+  }
+
+  startLoading(centerX, centerY) {
+    this.stopLoading();
+    this.loader = this.pick('loading');
+    if (this.loader) this.loader.startLoading(centerX, centerY);
+  }
+
+  stopLoading() {
+    this.loadingAnchor = null;
+    if (!this.loader) return;
+
+    this.loader.stopLoading();
+    this.loader = null;
+  }
+
+  // ----------------------------------------
+  // Reactions to content
+  // ----------------------------------------
+  setupReactions() {
+    const copied = (e) => this.react(e.target, 'copy');
+    document.addEventListener('copy', copied);
+    document.addEventListener('codeblock:copy', copied);
+
+    new MutationObserver((mutations) => {
+      mutations.forEach(({ target }) => {
+        if (target.getAttribute('aria-busy') === 'true') {
+          this.react(target, 'busy');
+        } else if (this.loadingAnchor && this.loadingAnchor === target.closest('[data-minion-on]')) {
+          this.stopLoading();
+        }
+      });
+    }).observe(document.body, { subtree: true, attributes: true, attributeFilter: ['aria-busy'] });
+  }
+
+  // The behaviour the nearest declaring element asks for on trigger
+  reactionFor(target, trigger) {
+    const host = target && target.closest ? target.closest('[data-minion-on]') : null;
+    if (!host) return null;
+
+    for (const pair of host.dataset.minionOn.trim().split(/\s+/)) {
+      const [on, behaviour] = pair.split(':');
+      if (on === trigger && behaviour) return { host, behaviour };
+    }
+    return null;
+  }
+
+  react(target, trigger) {
+    if (this.effects && !this.effects.isFull) return;
+
+    const reaction = this.reactionFor(target, trigger);
+    const now = performance.now();
+    if (!reaction || now - this.lastReaction < MinionController.REACTION_COOLDOWN) return;
+
+    const minion = this.pick(reaction.behaviour, candidate => candidate.isHidden);
+    if (!minion) return;
+
+    const rect = reaction.host.getBoundingClientRect();
+    const size = minion.element.getBoundingClientRect();
+
+    if (reaction.behaviour === 'loading') {
+      // Leave room for the circle around the landing spot
+      const radius = 40;
+      const spot = this.marginSpot(rect, { width: size.width + radius * 2, height: size.height + radius * 2 });
+      if (!spot) return;
+
+      this.stopLoading();
+      this.loader = minion;
+      this.loadingAnchor = reaction.host;
+      minion.startLoading(spot.x + radius + size.width / 2, spot.y + radius + size.height / 2, radius);
+    } else if (reaction.behaviour === 'peek') {
+      const spot = this.marginSpot(rect, size);
+      if (!spot) return;
+      minion.peek({ x: `${spot.x}px`, y: `${spot.y + 30}px`, peekY: `${spot.y}px` });
+    } else {
+      const spot = this.marginSpot(rect, size);
+      if (!spot || typeof minion[reaction.behaviour] !== 'function') return;
+      minion[reaction.behaviour](spot);
+    }
+
+    this.lastReaction = now;
+  }
+
+  /**
+   * Top-left corner for something of `size` beside `rect`, outside
+   * the text column on whichever side has room; null if neither does.
+   */
+  marginSpot(rect, size) {
+    const gap = MinionController.MARGIN_GAP;
+    // The text column, plus the table of contents when it sits beside it
+    const text = Array.from(document.querySelectorAll('.content-viewport, .toc'), el => el.getBoundingClientRect());
+    const textLeft = Math.min(rect.left, ...text.map(r => r.left));
+    const textRight = Math.max(rect.right, ...text.map(r => r.right));
+    const top = Math.min(Math.max(rect.top, gap), window.innerHeight - size.height - gap);
+
+    const right = textRight + gap;
+    if (right + size.width <= window.innerWidth - gap) {
+      return { x: right, y: top };
+    }
+
+    const left = textLeft - gap - size.width;
+    if (left >= gap) {
+      return { x: left, y: top };
+    }
+
+    return null;
+  }
+
+  // The topmost content heading that is on screen
+  headingInView() {
+    const headings = document.querySelectorAll('.content-viewport :is(h1, h2, h3)');
+    for (const heading of headings) {
+      const { top, bottom } = heading.getBoundingClientRect();
+      if (bottom > 0 && top < window.innerHeight * 0.6) return heading;
+    }
+    return null;
+  }
+
+  // Activity sends peeking minions away; busy ones carry on
+  hideIdleMinions() {
+    this.minions.forEach(m => {
+      if (m.isBusy) return;
+      m.element.classList.remove('peeking');
+      m.hide();
+    });
+  }
+
+  hideAllMinions() {
+    this.untrack();
+    this.stopLoading();
+    this.minions.forEach(m => {
+      m.element.classList.remove('peeking');
+      m.hide();
+    });
+  }
+}
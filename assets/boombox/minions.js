@@ -0,0 +1,395 @@
+import { AnimationScheduler, animationScheduler } from './scheduler.js';
+
+// ============================================
+// Minion Base Class
+// Behaviours a minion can be picked for:
+//   peek     - pop up beside the heading in view when the reader idles
+//   track    - follow the pointer with its eyes
+//   prowl    - walk across the bottom of the screen
+//   pounce   - leap in beside something the reader just copied
+//   loading  - circle the deck (or a busy player) while it loads
+// ============================================
+export class Minion {
+  static STATES = {
+    HIDDEN: 'hidden',
+    ENTERING: 'entering',
+    IDLE: 'idle',
+    TRACKING: 'tracking',
+    ACTING: 'acting',
+    EXITING: 'exiting'
+  };
+
+  // Allowed moves out of each state. EXITING can turn back to ENTERING
+  // so a quick hide-then-show doesn't strand a visible minion as HIDDEN.
+  static TRANSITIONS = {
+    hidden: ['entering'],
+    entering: ['idle', 'tracking', 'acting', 'exiting'],
+    idle: ['tracking', 'acting', 'exiting'],
+    tracking: ['idle', 'acting', 'exiting'],
+    acting: ['idle', 'tracking', 'exiting'],
+    exiting: ['hidden', 'entering']
+  };
+
+  static TRIGGERS = {
+    IDLE_TIMEOUT: 15000,
+    SCROLL_PAUSE: 3000,
+  };
+
+  static TRANSITION_TIME = 300;
+
+  constructor(element, effects = null) {
+    this.element = element;
+    this.state = Minion.STATES.HIDDEN;
+    this.stateTimer = null;
+    this.effects = effects;
+    this.paused = false;
+  }
+
+  // Minions only appear with full effects
+  canAnimate() {
+    return !this.effects || this.effects.isFull;
+  }
+
+  canTransition(newState) {
+    return Minion.TRANSITIONS[this.state].includes(newState);
+  }
+
+  /**
+   * Move to newState if the machine allows it; returns whether it moved.
+   * Any timer scheduled by the previous transition is cancelled, and a
+   * `minion:state` event ({ minion, from, to }) bubbles from the element.
+   * `force` skips the guard - for unmounting only.
+   */
+  setState(newState, { force = false } = {}) {
+    if (newState === this.state) return true;
+    if (!force && !this.canTransition(newState)) return false;
+
+    clearTimeout(this.stateTimer);
+    this.stateTimer = null;
+
+    const from = this.state;
+    this.state = newState;
+    this.element.dataset.state = newState;
+    this.element.dispatchEvent(new CustomEvent('minion:state', {
+      bubbles: true,
+      detail: { minion: this, from, to: newState }
+    }));
+    return true;
+  }
+
+  // Run callback later unless the minion changes state first
+  afterState(delay, callback) {
+    const state = this.state;
+    this.stateTimer = setTimeout(() => {
+      this.stateTimer = null;
+      if (this.state === state) callback();
+    }, delay);
+  }
+
+  get isHidden() {
+    return this.state === Minion.STATES.HIDDEN;
+  }
+
+  get isBusy() {
+    return this.state === Minion.STATES.TRACKING || this.state === Minion.STATES.ACTING;
+  }
+
+  show() {
+    if (!this.canAnimate()) return;
+    if (!this.isHidden && this.state !== Minion.STATES.EXITING) return;
+
+    this.element.classList.add('visible');
+    this.setState(Minion.STATES.ENTERING);
+    this.afterState(Minion.TRANSITION_TIME, () => this.setState(Minion.STATES.IDLE));
+  }
+
+  hide() {
+    if (!this.setState(Minion.STATES.EXITING)) return;
+
+    this.element.classList.remove('visible');
+    this.afterState(Minion.TRANSITION_TIME, () => {
+      // Drop held peek frames so the next entrance starts clean
+      this.element.getAnimations().forEach(animation => animation.cancel());
+      this.setState(Minion.STATES.HIDDEN);
+    });
+  }
+
+  peek(position) {
+    if (!this.canAnimate() || !this.isHidden) return;
+
+    this.element.style.left = position.x;
+    this.element.style.top = position.y;
+    this.element.classList.add('peeking');
+    this.show();
+
+    this.element.animate([
+      { top: position.y, opacity: 0 },
+      { top: position.peekY, opacity: 1 }
+    ], {
+      duration: 600,
+      easing: 'cubic-bezier(0.34, 1.56, 0.64, 1)',
+      fill: 'forwards'
+    });
+  }
+
+  // ----------------------------------------
+  // Lifecycle - called by MinionController
+  // ----------------------------------------
+
+  // Taken on by the controller; subclasses wire up listeners here
+  mount() {
+    this.element.dataset.state = this.state;
+  }
+
+  // Released by the controller; leave the element as it was found
+  unmount() {
+    this.element.getAnimations().forEach(animation => animation.cancel());
+    this.element.classList.remove('visible', 'peeking');
+    this.setState(Minion.STATES.HIDDEN, { force: true });
+  }
+
+  // Tab hidden - freeze mid-animation rather than skipping ahead
+  pause() {
+    this.paused = true;
+    this.element.getAnimations().forEach(animation => animation.pause());
+  }
+
+  resume() {
+    this.paused = false;
+    this.element.getAnimations().forEach(animation => animation.play());
+  }
+}
+
+// ============================================
+// Minion Registry - minion types by name
+// Each type registers itself below its class:
+//   minionRegistry.define('ravage', {
+//     minion: Ravage,
+//     selector: '#ravage',
+//     behaviours: { peek: 2, track: 1, prowl: 1 },  // name: weight
+//   });
+// MinionController mounts every type whose element is on the page
+// and picks among them by weight for each behaviour.
+// ============================================
+export class MinionRegistry {
+  static BEHAVIOURS = ['peek', 'track', 'prowl', 'pounce', 'loading'];
+
+  constructor() {
+    this.types = new Map();
+  }
+
+  define(name, type) {
+    const unknown = Object.keys(type.behaviours || {})
+      .filter(behaviour => !MinionRegistry.BEHAVIOURS.includes(behaviour));
+    if (unknown.length) {
+      throw new Error(`Minion "${name}" has unknown behaviours: ${unknown.join(', ')}`);
+    }
+
+    this.types.set(name, { name, behaviours: {}, ...type });
+    return this;
+  }
+
+  undefine(name) {
+    this.types.delete(name);
+    return this;
+  }
+
+  get(name) {
+    return this.types.get(name);
+  }
+
+  names() {
+    return Array.from(this.types.keys());
+  }
+}
+
+export const minionRegistry = new MinionRegistry();
+
+// ============================================
+// Ravage - Panther with eye tracking and prowl
+// ============================================
+export class Ravage extends Minion {
+  static POUNCE_HOLD = 1800;
+
+  constructor(element, effects = null) {
+    super(element, effects);
+    this.eyes = element.querySelectorAll('.eye');
+    this.pupils = element.querySelectorAll('.pupil');
+    this.boundTrack = this.trackEyes.bind(this);
+  }
+
+  startTracking() {
+    if (!this.setState(Minion.STATES.TRACKING)) return;
+    document.addEventListener('mousemove', this.boundTrack);
+  }
+
+  stopTracking() {
+    document.removeEventListener('mousemove', this.boundTrack);
+    if (this.state === Minion.STATES.TRACKING) {
+      this.setState(Minion.STATES.IDLE);
+    }
+    // Reset pupils
+    this.pupils.forEach(pupil => {
+      pupil.style.transform = 'translate(0, 0)';
+    });
+  }
+
+  trackEyes(event) {
+    this.pupils.forEach((pupil, index) => {
+      const eye = this.eyes[index];
+      if (!eye) return;
+
+      const eyeRect = eye.getBoundingClientRect();
+      const eyeCenterX = eyeRect.left + eyeRect.width / 2;
+      const eyeCenterY = eyeRect.top + eyeRect.height / 2;
+
+      const angle = Math.atan2(
+        event.clientY - eyeCenterY,
+        event.clientX - eyeCenterX
+      );
+
+      const maxOffset = eyeRect.width * 0.25;
+      const pupilX = Math.cos(angle) * maxOffset;
+      const pupilY = Math.sin(angle) * maxOffset;
+
+      pupil.style.transform = `translate(${pupilX}px, ${pupilY}px)`;
+    });
+  }
+
+  prowl(direction = 'right') {
+    if (!this.canAnimate() || !this.isHidden) return;
+
+    this.element.classList.add('prowling');
+
+    const startX = direction === 'right' ? -100 : window.innerWidth + 100;
+    const endX = direction === 'right' ? window.innerWidth + 100 : -100;
+    const y = window.innerHeight - 80;
+
+    this.element.style.left = `${startX}px`;
+    this.element.style.top = `${y}px`;
+    this.element.style.transform = direction === 'left' ? 'scaleX(-1)' : '';
+
+    this.show();
+    this.setState(Minion.STATES.ACTING);
+
+    const animation = this.element.animate([
+      { left: `${startX}px` },
+      { left: `${endX}px` }
+    ], {
+      duration: 8000,
+      easing: 'linear'
+    });
+
+    animation.onfinish = () => {
+      this.element.classList.remove('prowling');
+      this.hide();
+    };
+  }
+
+  // Leap up from below to land at spot, sit a moment, then leave
+  pounce(spot) {
+    if (!this.canAnimate() || !this.isHidden) return;
+
+    this.element.style.left = `${spot.x}px`;
+    this.element.style.top = `${spot.y}px`;
+    this.element.style.transform = '';
+    this.show();
+    this.setState(Minion.STATES.ACTING);
+
+    this.element.animate([
+      { top: `${window.innerHeight}px`, transform: 'rotate(-20deg)' },
+      { top: `${spot.y - 40}px`, transform: 'rotate(-10deg)', offset: 0.6 },
+      { top: `${spot.y}px`, transform: 'rotate(0deg)' }
+    ], {
+      duration: 500,
+      easing: 'ease-out'
+    });
+
+    this.afterState(Ravage.POUNCE_HOLD, () => this.hide());
+  }
+
+  unmount() {
+    this.stopTracking();
+    this.element.classList.remove('prowling');
+    super.unmount();
+  }
+}
+
+minionRegistry.define('ravage', {
+  minion: Ravage,
+  selector: '#ravage',
+  behaviours: { peek: 2, track: 1, prowl: 1, pounce: 1 }
+});
+
+// ============================================
+// Laserbeak - Condor loading indicator
+// ============================================
+export class Laserbeak extends Minion {
+  constructor(element, effects = null) {
+    super(element, effects);
+    this.isCircling = false;
+    this.angle = 0;
+  }
+
+  startLoading(centerX, centerY, radius = 40) {
+    if (!this.canAnimate()) return;
+
+    this.centerX = centerX;
+    this.centerY = centerY;
+    this.radius = radius;
+    if (this.isCircling) return;
+
+    this.isCircling = true;
+    this.element.classList.remove('peeking');
+    this.element.classList.add('flying', 'circling');
+    this.show();
+    this.setState(Minion.STATES.ACTING);
+    this.task = animationScheduler.add((now, dt) => this.circle(dt), { name: 'laserbeak', priority: 'decorative' });
+  }
+
+  stopLoading() {
+    if (!this.isCircling) return;
+
+    this.isCircling = false;
+    animationScheduler.remove(this.task);
+    this.task = null;
+    this.element.classList.remove('flying', 'circling');
+    this.hide();
+  }
+
+  // One step of the circuit; false ends the task
+  circle(dt) {
+    if (!this.isCircling) return false;
+    if (this.paused) return true;
+    if (!this.canAnimate()) {
+      this.stopLoading();
+      return false;
+    }
+
+    // Same speed whatever frames the scheduler gives us
+    this.angle += 0.06 * (dt || AnimationScheduler.FRAME_BUDGET) / AnimationScheduler.FRAME_BUDGET;
+    const x = this.centerX + Math.cos(this.angle) * this.radius - 30;
+    const y = this.centerY + Math.sin(this.angle) * this.radius - 20;
+
+    // Bank into turns for realistic flight
+    const bankAngle = Math.cos(this.angle) * 25;
+    // Point in direction of travel
+    const headingAngle = (this.angle * 180 / Math.PI) + 90;
+
+    this.element.style.left = `${x}px`;
+    this.element.style.top = `${y}px`;
+    this.element.style.transform = `rotate(${headingAngle + bankAngle}deg)`;
+    return true;
+  }
+
+  unmount() {
+    this.stopLoading();
+    super.unmount();
+  }
+}
+
+minionRegistry.define('laserbeak', {
+  minion: Laserbeak,
+  selector: '#laserbeak',
+  behaviours: { peek: 1, loading: 1 }
+});
@@ -0,0 +1,274 @@
+import { animationScheduler } from './scheduler.js';
+
+// ============================================
+// Noise Generator - Canvas-based static bursts
+// Queues bursts and hands drawing to NoiseRenderer, in a
+// worker through OffscreenCanvas where possible and on the
+// scheduler otherwise
+// ============================================
+export class NoiseGenerator {
+  static PATTERNS = ['tinted', 'static', 'band'];
+
+  // Renderer: the NoiseRenderer class (noise-renderer.js), for drawing here
+  // when the worker can't
+  constructor(canvas, effects = null, Renderer = null) {
+    this.canvas = canvas;
+    this.effects = effects;
+    this.Renderer = Renderer;
+    this.tint = [255, 255, 255];
+    this.queue = [];
+    this.current = null;
+    this.nextId = 1;
+    this.burstListeners = new Set();
+    this.worker = null;
+    this.renderer = this.createRenderer();
+
+    window.addEventListener('resize', () => {
+      clearTimeout(this.resizeTimer);
+      this.resizeTimer = setTimeout(() => this.resize(), 150);
+    });
+
+    if (this.effects) {
+      this.effects.onChange(() => {
+        if (!this.effects.isFull) this.stop();
+      });
+    }
+  }
+
+  // Lower resolution for coarse, analog-looking noise
+  get size() {
+    return {
+      width: Math.ceil(window.innerWidth / 3),
+      height: Math.ceil(window.innerHeight / 3)
+    };
+  }
+
+  /**
+   * Draw in a worker so bursts never compete with the page's frames,
+   * falling back to this thread. Returns { post } for sending the
+   * renderer messages, or null with no renderer.
+   */
+  createRenderer() {
+    return this.createWorkerRenderer() || this.createLocalRenderer();
+  }
+
+  // The worker gets the canvas itself, through an OffscreenCanvas
+  createWorkerRenderer() {
+    const src = this.canvas.dataset.renderer;
+    if (!src || !window.Worker || !this.canvas.transferControlToOffscreen) return null;
+
+    let worker;
+    try {
+      worker = new Worker(src);
+    } catch (err) {
+      return null;
+    }
+
+    this.worker = worker;
+    worker.addEventListener('message', (e) => this.handleMessage(e.data));
+    worker.addEventListener('error', () => this.fallBack(worker));
+
+    try {
+      const offscreen = this.canvas.transferControlToOffscreen();
+      worker.postMessage({ type: 'init', canvas: offscreen, ...this.size, tint: this.tint }, [offscreen]);
+    } catch (err) {
+      worker.terminate();
+      this.worker = null;
+      return null;
+    }
+    return { post: (message) => worker.postMessage(message) };
+  }
+
+  /**
+   * The worker failed: draw here instead, on a fresh canvas since the
+   * old one's control went to the worker, and replay the running burst.
+   */
+  fallBack(worker) {
+    if (worker !== this.worker) return;
+    this.worker = null;
+    worker.terminate();
+
+    const canvas = this.canvas.cloneNode(false);
+    this.canvas.replaceWith(canvas);
+    this.canvas = canvas;
+
+    this.renderer = this.createLocalRenderer();
+    if (this.renderer && this.current) {
+      const { id, duration, intensity, pattern } = this.current;
+      this.renderer.post({ type: 'burst', id, duration, intensity, pattern });
+    } else if (this.current) {
+      this.stop();
+    }
+  }
+
+  // NoiseRenderer on this thread, so bursts pause and yield with
+  // everything else on the scheduler
+  createLocalRenderer() {
+    if (!this.Renderer) return null;
+
+    // One-shot scheduler tasks stand in for the renderer's frame requests.
+    // Not decorative: a shed frame would leave a burst hanging unfinished
+    const renderer = new this.Renderer((message) => this.handleMessage(message), {
+      frames: {
+        requestFrame: (callback) => animationScheduler.add((now) => {
+          callback(now);
+          return false;
+        }, { name: 'noise' }),
+        cancelFrame: (task) => animationScheduler.remove(task)
+      },
+      createPools: this.createPoolWorker()
+    });
+    renderer.handle({ type: 'init', canvas: this.canvas, ...this.size, tint: this.tint });
+    return { post: (message) => renderer.handle(message) };
+  }
+
+  /**
+   * Generate the renderer's frame pools in a worker (noise-renderer.js)
+   * so a resize or tint change doesn't stall the page. If the worker
+   * fails, pools are generated here from then on.
+   */
+  createPoolWorker() {
+    const local = this.Renderer.createPools;
+    const src = this.canvas.dataset.renderer;
+    if (!src || !window.Worker) return local;
+
+    let worker;
+    try {
+      worker = new Worker(src);
+    } catch (err) {
+      return local;
+    }
+
+    const pending = new Map();
+    let nextId = 1;
+
+    worker.addEventListener('message', (e) => {
+      const request = pending.get(e.data.id);
+      if (!request) return;
+      pending.delete(e.data.id);
+      if (e.data.error) {
+        request.resolve(local(...request.size));
+      } else {
+        request.resolve({ static: e.data.static, tinted: e.data.tinted });
+      }
+    });
+
+    worker.addEventListener('error', () => {
+      worker.terminate();
+      worker = null;
+      pending.forEach(({ size, resolve }) => resolve(local(...size)));
+      pending.clear();
+    });
+
+    return (width, height, tint) => {
+      if (!worker) return local(width, height, tint);
+
+      return new Promise(resolve => {
+        const id = nextId++;
+        pending.set(id, { size: [width, height, tint], resolve });
+        worker.postMessage({ type: 'pools', id, width, height, tint });
+      });
+    };
+  }
+
+  // Faction colour cast for the static, as [r, g, b]
+  setTint(tint) {
+    this.tint = tint || [255, 255, 255];
+    if (this.renderer) {
+      this.renderer.post({ type: 'tint', tint: this.tint });
+    }
+  }
+
+  resize() {
+    if (this.renderer) {
+      this.renderer.post({ type: 'resize', ...this.size });
+    }
+  }
+
+  /**
+   * Flash static over the screen. Resolves true once the burst has
+   * played, false if it was skipped or cancelled.
+   * - pattern: 'tinted' (default), 'static' or 'band'
+   * - queue: play after bursts already running instead of replacing them
+   * - signal: an AbortSignal that cancels this burst
+   */
+  burst(duration = 200, intensity = 0.3, { pattern = 'tinted', queue = false, signal = null } = {}) {
+    // Static flashes are full-effects only
+    if (!this.renderer || (this.effects && !this.effects.isFull) || (signal && signal.aborted)) {
+      return Promise.resolve(false);
+    }
+
+    return new Promise(resolve => {
+      const burst = { id: this.nextId++, duration, intensity, pattern, resolve };
+
+      if (signal) {
+        signal.addEventListener('abort', () => this.cancel(burst), { once: true });
+      }
+      if (!queue) {
+        this.stop();
+      }
+
+      this.queue.push(burst);
+      if (!this.current) {
+        this.playNext();
+      }
+    });
+  }
+
+  playNext() {
+    this.current = this.queue.shift() || null;
+    this.canvas.classList.toggle('active', Boolean(this.current));
+
+    if (this.current) {
+      const { id, duration, intensity, pattern } = this.current;
+      this.renderer.post({ type: 'burst', id, duration, intensity, pattern });
+      this.burstListeners.forEach(listener => listener({ duration, intensity, pattern }));
+    }
+  }
+
+  // Called as each burst starts playing (e.g. to sync deck sounds)
+  onBurst(listener) {
+    this.burstListeners.add(listener);
+    return () => this.burstListeners.delete(listener);
+  }
+
+  handleMessage(message) {
+    if (message.type !== 'done' || !this.current || message.id !== this.current.id) return;
+
+    const burst = this.current;
+    this.current = null;
+    burst.resolve(true);
+    this.playNext();
+  }
+
+  cancel(burst) {
+    if (burst === this.current) {
+      this.current = null;
+      this.renderer.post({ type: 'stop' });
+      burst.resolve(false);
+      this.playNext();
+      return;
+    }
+
+    const index = this.queue.indexOf(burst);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+      burst.resolve(false);
+    }
+  }
+
+  // Cancel the running burst and everything queued behind it
+  stop() {
+    this.queue.splice(0).forEach(burst => burst.resolve(false));
+
+    if (this.current) {
+      const burst = this.current;
+      this.current = null;
+      if (this.renderer) {
+        this.renderer.post({ type: 'stop' });
+      }
+      burst.resolve(false);
+    }
+    this.canvas.classList.remove('active');
+  }
+}
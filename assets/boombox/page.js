@@ -0,0 +1,23 @@
+// ============================================
+// Chromatic Text Setup
+// ============================================
+export function setupChromaticText() {
+  document.querySelectorAll('.chromatic-text').forEach(el => {
+    if (!el.dataset.text) {
+      el.dataset.text = el.textContent;
+    }
+  });
+}
+
+// ============================================
+// Visibility Change Handler
+// ============================================
+export function setupVisibilityHandler() {
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      document.body.classList.add('animations-paused');
+    } else {
+      document.body.classList.remove('animations-paused');
+    }
+  });
+}
@@ -0,0 +1,98 @@
+// ============================================
+// Page Prefetcher - warms pages before the tape is inserted
+// ============================================
+export class PagePrefetcher {
+  constructor(loadPage, options = {}) {
+    this.loadPage = loadPage;
+    this.maxConcurrent = options.maxConcurrent || 2;
+
+    // URL (without hash) -> Promise of the loaded page
+    this.cache = new Map();
+    // Asset URLs already handed to the browser as prefetch hints
+    this.assets = new Set();
+
+    this.queue = [];
+    this.active = 0;
+  }
+
+  static keyFor(href) {
+    const url = new URL(href, document.baseURI);
+    url.hash = '';
+    return url.href;
+  }
+
+  get saveData() {
+    return Boolean(navigator.connection && navigator.connection.saveData);
+  }
+
+  // Background prefetch - deduped, capped, skipped when saving data
+  prefetch(href) {
+    const key = PagePrefetcher.keyFor(href);
+    if (this.saveData || this.cache.has(key) || this.queue.includes(key)) return;
+
+    this.queue.push(key);
+    this.drain();
+  }
+
+  // Navigation fetch - reuses a prefetch or jumps the queue
+  get(href) {
+    const key = PagePrefetcher.keyFor(href);
+    this.queue = this.queue.filter(queued => queued !== key);
+
+    if (!this.cache.has(key)) {
+      this.start(key);
+    }
+    return this.cache.get(key);
+  }
+
+  start(key) {
+    this.active++;
+
+    const promise = this.loadPage(key).then(page => {
+      this.prefetchAssets(page.document, page.url);
+      return page;
+    });
+
+    // Failed loads are retried on the next request rather than cached
+    promise.catch(() => this.cache.delete(key)).finally(() => {
+      this.active--;
+      this.drain();
+    });
+
+    this.cache.set(key, promise);
+  }
+
+  drain() {
+    while (this.active < this.maxConcurrent && this.queue.length > 0) {
+      this.start(this.queue.shift());
+    }
+  }
+
+  prefetchAssets(doc, baseUrl) {
+    if (this.saveData) return;
+
+    const present = new Set();
+    document.querySelectorAll('link[href], script[src], img[src]').forEach(el => {
+      present.add(el.href || el.src);
+    });
+
+    doc.querySelectorAll('link[rel="stylesheet"][href], script[src], #content img[src]').forEach(el => {
+      const url = new URL(el.getAttribute('href') || el.getAttribute('src'), baseUrl).href;
+      if (present.has(url) || this.assets.has(url)) return;
+
+      this.assets.add(url);
+      const hint = document.createElement('link');
+      hint.rel = 'prefetch';
+      hint.href = url;
+      document.head.appendChild(hint);
+    });
+  }
+
+  inspect() {
+    return {
+      pages: Array.from(this.cache.keys()),
+      queued: [...this.queue],
+      assets: Array.from(this.assets)
+    };
+  }
+}
@@ -0,0 +1,381 @@
+import { AnimationScheduler, animationScheduler } from './scheduler.js';
+
+// ============================================
+// Ratbat Hunt - 404 page game
+// Catch Ratbat with a click or tap (touch gets a wider net), or
+// steer a net with the arrow keys in keyboard mode. Difficulty and
+// best times are kept in localStorage; "Skip the game" always
+// reveals the page.
+// ============================================
+export class RatbatHunt {
+  static DIFFICULTIES = {
+    easy: { label: 'Easy', catches: 2, speed: 0.008, speedUp: 0.004 },
+    normal: { label: 'Normal', catches: 3, speed: 0.015, speedUp: 0.008 },
+    hard: { label: 'Hard', catches: 5, speed: 0.02, speedUp: 0.01 }
+  };
+
+  static DIFFICULTY_KEY = 'ratbat-difficulty';
+  static SCORES_KEY = 'ratbat-scores';
+  static MAX_SCORES = 5;
+
+  // Extra reach around Ratbat per pointer type, in px
+  static HIT_SLOP = { mouse: 8, pen: 8, touch: 32, keyboard: 24 };
+
+  // Keyboard mode: net step per arrow press, and Ratbat flies slower
+  static NET_STEP = 20;
+  static KEYBOARD_SPEED = 0.5;
+
+  constructor(element, onComplete, effects = null) {
+    this.element = element;
+    this.onComplete = onComplete;
+    this.effects = effects;
+    this.counter = document.querySelector('.catch-counter');
+    this.scoresEl = document.querySelector('.hunt-scores');
+    this.net = null;
+    this.isActive = true;
+    this.paused = false;
+    this.difficulty = this.loadDifficulty();
+
+    this.setupControls();
+
+    // A moving target is full-effects only - otherwise hand back the page
+    if (this.effects && !this.effects.isFull) {
+      this.forfeit();
+      return;
+    }
+
+    this.element.classList.add('interactive', 'visible', 'flying', 'hunting');
+
+    this.handlePointer = (e) => this.handlePointerDown(e);
+    this.handleVisibility = () => document.hidden ? this.pause() : this.resume();
+    document.addEventListener('pointerdown', this.handlePointer);
+    document.addEventListener('visibilitychange', this.handleVisibility);
+
+    if (this.effects) {
+      this.stopWatchingEffects = this.effects.onChange(() => {
+        if (!this.effects.isFull && this.isActive) this.forfeit();
+      });
+    }
+
+    this.start();
+  }
+
+  get settings() {
+    return RatbatHunt.DIFFICULTIES[this.difficulty];
+  }
+
+  loadDifficulty() {
+    let stored = null;
+    try {
+      stored = localStorage.getItem(RatbatHunt.DIFFICULTY_KEY);
+    } catch (err) {
+      // Storage unavailable
+    }
+    return RatbatHunt.DIFFICULTIES[stored] ? stored : 'normal';
+  }
+
+  setupControls() {
+    document.querySelectorAll('input[name="hunt-difficulty"]').forEach(input => {
+      input.checked = input.value === this.difficulty;
+      input.addEventListener('change', () => {
+        if (!input.checked || !RatbatHunt.DIFFICULTIES[input.value]) return;
+        this.difficulty = input.value;
+        this.store(RatbatHunt.DIFFICULTY_KEY, this.difficulty);
+        if (this.isActive) this.start();
+      });
+    });
+
+    const keyboardBtn = document.querySelector('.hunt-keyboard');
+    if (keyboardBtn) {
+      keyboardBtn.addEventListener('click', () => this.enableKeyboard());
+    }
+
+    const skip = document.querySelector('.hunt-skip');
+    if (skip) {
+      skip.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.forfeit();
+        this.focusExit();
+      });
+    }
+  }
+
+  start() {
+    this.catches = 0;
+    this.speed = this.settings.speed;
+    this.t = 0;
+    this.elapsed = 0;
+    this.startedAt = performance.now();
+
+    const needed = document.querySelector('.catches-needed');
+    if (needed) {
+      needed.textContent = `${this.settings.catches} time${this.settings.catches !== 1 ? 's' : ''}`;
+    }
+    this.showProgress();
+
+    if (!this.task) {
+      this.task = animationScheduler.add((now, dt) => this.animate(dt), { name: 'ratbat-hunt' });
+    }
+  }
+
+  // Play time so far, not counting time spent in a hidden tab
+  get time() {
+    return this.elapsed + (this.paused ? 0 : performance.now() - this.startedAt);
+  }
+
+  pause() {
+    if (!this.isActive || this.paused) return;
+
+    this.elapsed += performance.now() - this.startedAt;
+    this.paused = true;
+  }
+
+  resume() {
+    if (!this.isActive || !this.paused) return;
+
+    this.paused = false;
+    this.startedAt = performance.now();
+  }
+
+  finish() {
+    this.isActive = false;
+    animationScheduler.remove(this.task);
+    this.task = null;
+
+    if (this.handlePointer) {
+      document.removeEventListener('pointerdown', this.handlePointer);
+      document.removeEventListener('visibilitychange', this.handleVisibility);
+    }
+    if (this.stopWatchingEffects) this.stopWatchingEffects();
+    if (this.net) {
+      this.net.remove();
+      this.net = null;
+    }
+  }
+
+  forfeit() {
+    this.finish();
+    this.element.classList.remove('interactive', 'visible', 'flying', 'hunting');
+    this.renderScores();
+    if (this.onComplete) this.onComplete();
+  }
+
+  // Simplified Perlin-like noise using sine waves
+  noise(x, y) {
+    return (Math.sin(x * 1.5) + Math.sin(y * 1.7) + Math.sin((x + y) * 0.9)) / 3;
+  }
+
+  // One frame of flight; false ends the task
+  animate(dt) {
+    if (!this.isActive) return false;
+    if (this.paused) return true;
+
+    // speed is per 60fps frame - scale by real time so dropped frames don't slow Ratbat
+    const frames = (dt || AnimationScheduler.FRAME_BUDGET) / AnimationScheduler.FRAME_BUDGET;
+    this.t += this.speed * frames * (this.net ? RatbatHunt.KEYBOARD_SPEED : 1);
+
+    const noiseX = this.noise(this.t, 0);
+    const noiseY = this.noise(0, this.t * 1.3);
+
+    const x = ((noiseX + 1) / 2) * (window.innerWidth - 80);
+    const y = ((noiseY + 1) / 2) * (window.innerHeight - 100) + 50;
+
+    // Erratic rotation based on movement direction
+    const rotation = Math.sin(this.t * 3) * 30;
+
+    this.element.style.left = `${x}px`;
+    this.element.style.top = `${y}px`;
+    this.element.style.transform = `rotate(${rotation}deg)`;
+    return true;
+  }
+
+  // Within Ratbat's radius plus some slack for the input in use
+  isHit(x, y, pointerType) {
+    const rect = this.element.getBoundingClientRect();
+    const reach = Math.max(rect.width, rect.height) / 2 + (RatbatHunt.HIT_SLOP[pointerType] || RatbatHunt.HIT_SLOP.mouse);
+    return Math.hypot(x - (rect.left + rect.width / 2), y - (rect.top + rect.height / 2)) <= reach;
+  }
+
+  handlePointerDown(e) {
+    if (!this.isActive || this.paused || !e.isPrimary) return;
+    // Leave the page's own controls alone
+    if (e.target.closest('a, button, input, label')) return;
+
+    if (this.isHit(e.clientX, e.clientY, e.pointerType)) {
+      this.handleCatch();
+    }
+  }
+
+  // ----------------------------------------
+  // Keyboard mode - arrow keys steer a net, Space or Enter swings it
+  // ----------------------------------------
+  enableKeyboard() {
+    if (!this.isActive) return;
+
+    if (!this.net) {
+      this.net = document.createElement('div');
+      this.net.className = 'hunt-net';
+      this.net.tabIndex = 0;
+      this.net.setAttribute('role', 'button');
+      this.net.setAttribute('aria-label', 'Net: arrow keys move it, Space swings');
+      this.net.addEventListener('keydown', (e) => this.handleNetKey(e));
+      this.netX = window.innerWidth / 2;
+      this.netY = window.innerHeight / 2;
+      this.moveNet(0, 0);
+      document.body.appendChild(this.net);
+    }
+    this.net.focus();
+  }
+
+  moveNet(dx, dy) {
+    this.netX = Math.min(Math.max(this.netX + dx, 0), window.innerWidth);
+    this.netY = Math.min(Math.max(this.netY + dy, 0), window.innerHeight);
+    this.net.style.left = `${this.netX}px`;
+    this.net.style.top = `${this.netY}px`;
+  }
+
+  handleNetKey(e) {
+    const step = RatbatHunt.NET_STEP * (e.shiftKey ? 3 : 1);
+    const moves = {
+      ArrowLeft: [-step, 0],
+      ArrowRight: [step, 0],
+      ArrowUp: [0, -step],
+      ArrowDown: [0, step]
+    };
+
+    if (moves[e.key]) {
+      e.preventDefault();
+      this.moveNet(...moves[e.key]);
+    } else if (e.key === ' ' || e.key === 'Enter') {
+      e.preventDefault();
+      this.swingNet();
+    }
+  }
+
+  swingNet() {
+    if (!this.isActive || this.paused) return;
+
+    this.net.classList.remove('swinging');
+    void this.net.offsetWidth;
+    this.net.classList.add('swinging');
+
+    if (this.isHit(this.netX, this.netY, 'keyboard')) {
+      this.handleCatch();
+    } else if (this.counter) {
+      this.counter.textContent = `Missed! ${this.remainingText()}`;
+    }
+  }
+
+  handleCatch() {
+    this.catches++;
+    this.element.classList.add('caught');
+    setTimeout(() => this.element.classList.remove('caught'), 200);
+
+    if (this.catches >= this.settings.catches) {
+      this.victory();
+    } else {
+      // Speed up after each catch
+      this.speed += this.settings.speedUp;
+      this.showProgress();
+    }
+  }
+
+  remainingText() {
+    const remaining = this.settings.catches - this.catches;
+    return `${remaining} more catch${remaining !== 1 ? 'es' : ''} to go!`;
+  }
+
+  showProgress() {
+    if (this.counter) {
+      this.counter.textContent = this.catches ? this.remainingText() : `${this.settings.catches} catches to go!`;
+    }
+  }
+
+  victory() {
+    const usedKeyboard = document.activeElement === this.net;
+    const entry = this.recordScore(this.time);
+    this.finish();
+    this.element.classList.remove('interactive', 'hunting');
+    this.element.classList.add('escaping');
+    this.renderScores(entry);
+
+    setTimeout(() => {
+      this.element.classList.remove('visible');
+      if (this.onComplete) this.onComplete();
+      if (usedKeyboard) this.focusExit();
+    }, 800);
+  }
+
+  focusExit() {
+    const exit = document.querySelector('.error-content a');
+    if (exit) exit.focus();
+  }
+
+  // ----------------------------------------
+  // Best times - per difficulty, fastest first
+  // ----------------------------------------
+  // Storage may be unavailable (private browsing, sandboxed frames) -
+  // the game plays on, just without remembering
+  store(key, value) {
+    try {
+      localStorage.setItem(key, value);
+    } catch (err) {
+      // Not remembered
+    }
+  }
+
+  loadScores() {
+    try {
+      return JSON.parse(localStorage.getItem(RatbatHunt.SCORES_KEY)) || {};
+    } catch (err) {
+      return {};
+    }
+  }
+
+  // Best times for the current difficulty; anything malformed counts as none
+  scoresFor(scores) {
+    const list = scores[this.difficulty];
+    return Array.isArray(list) ? list : [];
+  }
+
+  recordScore(time) {
+    const scores = this.loadScores();
+    const entry = { time: Math.round(time), date: new Date().toISOString() };
+    const list = this.scoresFor(scores).concat(entry)
+      .sort((a, b) => a.time - b.time)
+      .slice(0, RatbatHunt.MAX_SCORES);
+
+    scores[this.difficulty] = list;
+    this.store(RatbatHunt.SCORES_KEY, JSON.stringify(scores));
+    return list.includes(entry) ? entry : null;
+  }
+
+  renderScores(latest = null) {
+    if (!this.scoresEl) return;
+
+    const list = this.scoresFor(this.loadScores());
+    this.scoresEl.hidden = list.length === 0;
+    if (!list.length) return;
+
+    this.scoresEl.innerHTML = `
+      <table>
+        <caption></caption>
+        <thead><tr><th scope="col">#</th><th scope="col">Time</th><th scope="col">Date</th></tr></thead>
+        <tbody></tbody>
+      </table>`;
+    this.scoresEl.querySelector('caption').textContent = `Best times - ${this.settings.label}`;
+
+    // Stored scores are text, never markup
+    const tbody = this.scoresEl.querySelector('tbody');
+    list.forEach((score, index) => {
+      const row = tbody.insertRow();
+      if (latest && score.time === latest.time && score.date === latest.date) {
+        row.className = 'latest';
+      }
+      const cells = [index + 1, `${(score.time / 1000).toFixed(1)}s`, new Date(score.date).toLocaleDateString()];
+      cells.forEach(text => {
+        row.insertCell().textContent = text;
+      });
+    });
+  }
+}
@@ -0,0 +1,230 @@
+// ============================================
+// Animation Scheduler - one frame loop for every effect
+// Components register tasks instead of running their own
+// requestAnimationFrame loops:
+//   const task = animationScheduler.add((now, dt) => { ... }, {
+//     name: 'vu-meters',
+//     priority: 'decorative',  // 'critical' | 'normal' | 'decorative'
+//     fps: 10,                 // default: every frame
+//     pauseWhenHidden: true,   // false: keep ticking (slowly) in a background tab
+//     element: meterEl,        // pause while this is off screen
+//   });
+//   animationScheduler.remove(task);
+// A callback returning false removes its task. When frames run long,
+// decorative tasks are shed until the frame rate recovers.
+// ============================================
+export class AnimationScheduler {
+  static PRIORITIES = ['critical', 'normal', 'decorative'];
+  static FRAME_BUDGET = 1000 / 60;  // ms
+  static SHED_ABOVE = 1.5;          // average frame / budget that starts shedding
+  static RECOVER_BELOW = 1.15;      // ... and that ends it
+  static WORK_BUDGET = 8;           // ms of task work before decorative tasks wait a frame
+  static HIDDEN_INTERVAL = 1000;    // ms between ticks in a background tab
+  static MAX_DT = 100;              // ms - cap on the dt handed to tasks
+  static PAUSE_GAP = 250;           // ms - longer gaps are a pause, not a slow frame
+
+  constructor() {
+    this.tasks = new Set();
+    this.frameId = null;
+    this.timerId = null;
+    this.paused = false;
+    this.lastFrame = null;
+    this.averageFrame = AnimationScheduler.FRAME_BUDGET;
+    this.shedding = false;
+
+    this.watched = new Map();
+    this.observer = 'IntersectionObserver' in window
+      ? new IntersectionObserver(entries => entries.forEach(entry => {
+        (this.watched.get(entry.target) || []).forEach(task => {
+          task.onScreen = entry.isIntersecting;
+        });
+      }))
+      : null;
+
+    document.addEventListener('visibilitychange', () => {
+      this.halt();
+      this.wake();
+    });
+  }
+
+  add(callback, { name = 'task', priority = 'normal', fps = null, pauseWhenHidden = true, element = null } = {}) {
+    const task = {
+      name,
+      callback,
+      priority: AnimationScheduler.PRIORITIES.includes(priority) ? priority : 'normal',
+      interval: fps ? 1000 / fps : 0,
+      pauseWhenHidden,
+      element,
+      onScreen: true,
+      paused: false,
+      lastRun: null,
+      runs: 0,
+      shed: 0,
+      cost: 0
+    };
+
+    this.tasks.add(task);
+    if (element && this.observer) {
+      if (!this.watched.has(element)) {
+        this.watched.set(element, new Set());
+        this.observer.observe(element);
+      }
+      this.watched.get(element).add(task);
+    }
+
+    this.wake();
+    return task;
+  }
+
+  remove(task) {
+    if (!task || !this.tasks.delete(task)) return;
+
+    const watchers = task.element && this.watched.get(task.element);
+    if (watchers) {
+      watchers.delete(task);
+      if (!watchers.size) {
+        this.watched.delete(task.element);
+        this.observer.unobserve(task.element);
+      }
+    }
+  }
+
+  // Pause everything, or just the tasks with this name
+  pause(name = null) {
+    if (name) {
+      this.tasks.forEach(task => {
+        if (task.name === name) task.paused = true;
+      });
+      return;
+    }
+    this.paused = true;
+    this.halt();
+  }
+
+  resume(name = null) {
+    if (name) {
+      this.tasks.forEach(task => {
+        if (task.name === name) {
+          task.paused = false;
+          task.lastRun = null;
+        }
+      });
+      return;
+    }
+    this.paused = false;
+    this.wake();
+  }
+
+  stats() {
+    return {
+      running: !this.paused && (this.frameId !== null || this.timerId !== null),
+      paused: this.paused,
+      fps: Math.round(1000 / this.averageFrame),
+      averageFrame: Number(this.averageFrame.toFixed(1)),
+      shedding: this.shedding,
+      tasks: Array.from(this.tasks, task => ({
+        name: task.name,
+        priority: task.priority,
+        fps: task.interval ? Math.round(1000 / task.interval) : null,
+        paused: task.paused,
+        onScreen: task.onScreen,
+        runs: task.runs,
+        shed: task.shed,
+        cost: Number(task.cost.toFixed(2))
+      }))
+    };
+  }
+
+  halt() {
+    cancelAnimationFrame(this.frameId);
+    clearTimeout(this.timerId);
+    this.frameId = null;
+    this.timerId = null;
+    this.lastFrame = null;
+  }
+
+  wake() {
+    if (this.paused || this.frameId !== null || this.timerId !== null) return;
+    if (!this.tasks.size) {
+      this.lastFrame = null;
+      return;
+    }
+
+    // Frames don't fire in background tabs - tasks that keep going get a slow timer
+    if (document.hidden) {
+      if (Array.from(this.tasks).some(task => !task.pauseWhenHidden)) {
+        this.timerId = setTimeout(() => {
+          this.timerId = null;
+          this.tick(performance.now());
+        }, AnimationScheduler.HIDDEN_INTERVAL);
+      }
+      return;
+    }
+
+    this.frameId = requestAnimationFrame((now) => {
+      this.frameId = null;
+      this.tick(now);
+    });
+  }
+
+  measureFrame(now) {
+    if (this.lastFrame !== null) {
+      const frame = now - this.lastFrame;
+      if (frame < AnimationScheduler.PAUSE_GAP) {
+        this.averageFrame += (frame - this.averageFrame) * 0.1;
+      }
+    }
+    this.lastFrame = now;
+
+    const load = this.averageFrame / AnimationScheduler.FRAME_BUDGET;
+    if (!this.shedding && load > AnimationScheduler.SHED_ABOVE) {
+      this.shedding = true;
+    } else if (this.shedding && load < AnimationScheduler.RECOVER_BELOW) {
+      this.shedding = false;
+    }
+  }
+
+  tick(now) {
+    if (!document.hidden) {
+      this.measureFrame(now);
+    }
+
+    const started = performance.now();
+    const rank = task => AnimationScheduler.PRIORITIES.indexOf(task.priority);
+    const due = Array.from(this.tasks).sort((a, b) => rank(a) - rank(b));
+
+    for (const task of due) {
+      if (!this.tasks.has(task) || task.paused || !task.onScreen) continue;
+      if (document.hidden && task.pauseWhenHidden) continue;
+      if (task.interval && task.lastRun !== null && now - task.lastRun < task.interval - 1) continue;
+
+      if (task.priority === 'decorative' &&
+        (this.shedding || performance.now() - started > AnimationScheduler.WORK_BUDGET)) {
+        task.shed++;
+        continue;
+      }
+
+      const dt = task.lastRun === null ? 0 : Math.min(now - task.lastRun, AnimationScheduler.MAX_DT);
+      task.lastRun = now;
+
+      const before = performance.now();
+      let keep;
+      try {
+        keep = task.callback(now, dt);
+      } catch (err) {
+        // A broken task is dropped so it can't stall the loop every frame
+        keep = false;
+      }
+      task.cost += (performance.now() - before - task.cost) * 0.1;
+      task.runs++;
+
+      if (keep === false) {
+        this.remove(task);
+      }
+    }
+
+    this.wake();
+  }
+}
+
+export const animationScheduler = new AnimationScheduler();
@@ -0,0 +1,720 @@
+import { animationScheduler } from './scheduler.js';
+import { PagePrefetcher } from './prefetcher.js';
+import { LevelMeter } from './level-meter.js';
+import { setupChromaticText } from './page.js';
+
+// ============================================
+// Tape Deck Navigation Controller
+// For multi-page static sites - fetches the target page during the
+// tape animation and swaps only the content viewport
+// ============================================
+export class TapeDeck {
+  // Script types the browser executes; others (e.g. math/tex) are data
+  static SCRIPT_TYPES = ['', 'text/javascript', 'application/javascript', 'module'];
+
+  constructor(options = {}) {
+    this.rack = document.querySelector('.tape-rack');
+    this.deck = document.querySelector('.tape-deck');
+    this.deckSlot = document.querySelector('.deck-slot');
+    this.viewport = document.querySelector('.content-viewport');
+    this.counter = document.querySelector('.counter');
+    this.vuMeters = document.querySelectorAll('.vu-meter');
+    this.announcer = document.querySelector('.deck-announcer');
+    this.ejectBtn = document.querySelector('.eject-btn');
+
+    this.currentSection = null;
+    this.isTransitioning = false;
+    this.pendingHref = null;
+    this.players = new Set();
+
+    this.prefetcher = new PagePrefetcher(href => this.requestPage(href), {
+      maxConcurrent: options.maxConcurrentPrefetches || 2
+    });
+
+    // External dependencies (injected)
+    this.noiseGenerator = options.noiseGenerator;
+    this.effects = options.effects || null;
+    this.sounds = options.sounds || null;
+    this.onLoadStart = options.onLoadStart || (() => { });
+    this.onLoadComplete = options.onLoadComplete || (() => { });
+    this.onSectionChange = options.onSectionChange || (() => { });
+
+    if (this.rack) {
+      this.init();
+    }
+  }
+
+  init() {
+    // Detect current section from URL path
+    this.detectCurrentSection();
+
+    // Mark current cassette as loaded
+    this.markCurrentLoaded();
+
+    // Engage deck and start VU meters for current page
+    if (this.deckSlot) {
+      this.deckSlot.classList.add('engaged');
+    }
+    this.updateCounter(0);
+    this.animateVUMeters();
+
+    // Cassette click handlers - intercept for animation
+    this.rack.querySelectorAll('.cassette').forEach(cassette => {
+      cassette.addEventListener('click', (e) => {
+        const href = cassette.getAttribute('href');
+        const section = cassette.dataset.section;
+
+        // Let modified clicks open new tabs/windows as usual
+        if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+          return;
+        }
+
+        e.preventDefault();
+
+        // If this tape's page is already showing, do nothing
+        if (TapeDeck.normalizePath(href) === TapeDeck.normalizePath(window.location.href)) {
+          return;
+        }
+
+        // If not transitioning, play animation then swap in the page
+        if (!this.isTransitioning) {
+          this.navigateWithAnimation(cassette, href, section);
+        }
+      });
+
+      // Warm the page so the fetch overlaps the tape animation
+      const prefetch = () => {
+        const href = cassette.getAttribute('href');
+        if (TapeDeck.normalizePath(href) !== TapeDeck.normalizePath(window.location.href)) {
+          this.prefetcher.prefetch(href);
+        }
+      };
+      cassette.addEventListener('pointerenter', prefetch);
+      cassette.addEventListener('focus', prefetch);
+    });
+
+    // Eject button - returns to home
+    if (this.ejectBtn) {
+      this.ejectBtn.addEventListener('click', () => this.eject());
+    }
+
+    this.setupKeyboard();
+
+    // History entries - back/forward replay the tape animation
+    history.replaceState({ section: this.currentSection }, '', window.location.href);
+    this.currentPath = window.location.pathname;
+    window.addEventListener('popstate', () => this.handlePopState());
+  }
+
+  eject() {
+    const homeUrl = this.rack.querySelector('[data-section="home"]')?.getAttribute('href') || '/';
+    if (this.currentSection !== 'home' && !this.isTransitioning) {
+      this.ejectAndNavigate(homeUrl);
+    }
+  }
+
+  // ----------------------------------------
+  // Keyboard model
+  // Arrows/Home/End move between tapes (roving tabindex),
+  // Enter/Space insert the focused tape, E ejects
+  // ----------------------------------------
+  setupKeyboard() {
+    this.rack.addEventListener('keydown', (e) => this.handleRackKeydown(e));
+    this.rack.addEventListener('focusin', (e) => {
+      const cassette = e.target.closest('.cassette');
+      if (cassette) this.setRovingCassette(cassette);
+    });
+
+    const navigation = this.rack.closest('.tape-navigation') || this.rack;
+    navigation.addEventListener('keydown', (e) => {
+      if (e.key.toLowerCase() !== 'e' || e.metaKey || e.ctrlKey || e.altKey) return;
+      e.preventDefault();
+      this.eject();
+    });
+
+    if (this.ejectBtn) {
+      this.ejectBtn.setAttribute('aria-keyshortcuts', 'E');
+    }
+
+    // Focusable tapes carry the usage hint so it is read on focus
+    const help = document.getElementById('tape-rack-help');
+    if (help) {
+      this.getCassettes().forEach(cassette => cassette.setAttribute('aria-describedby', help.id));
+    }
+  }
+
+  getCassettes() {
+    return Array.from(this.rack.querySelectorAll('.cassette'));
+  }
+
+  handleRackKeydown(e) {
+    const cassettes = this.getCassettes();
+    const index = cassettes.indexOf(e.target.closest('.cassette'));
+    if (index === -1) return;
+
+    let nextIndex;
+    switch (e.key) {
+      case 'ArrowRight':
+      case 'ArrowDown':
+        nextIndex = (index + 1) % cassettes.length;
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        nextIndex = (index - 1 + cassettes.length) % cassettes.length;
+        break;
+      case 'Home':
+        nextIndex = 0;
+        break;
+      case 'End':
+        nextIndex = cassettes.length - 1;
+        break;
+      case ' ':
+        // Anchors only activate on Enter - make Space "play" too
+        e.preventDefault();
+        cassettes[index].click();
+        return;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    this.setRovingCassette(cassettes[nextIndex]);
+    cassettes[nextIndex].focus();
+  }
+
+  setRovingCassette(active) {
+    this.getCassettes().forEach(cassette => {
+      cassette.tabIndex = cassette === active ? 0 : -1;
+    });
+  }
+
+  announce(message) {
+    if (!this.announcer) return;
+
+    // Clear first so repeating the same message is still announced
+    this.announcer.textContent = '';
+    requestAnimationFrame(() => {
+      this.announcer.textContent = message;
+    });
+  }
+
+  handlePopState() {
+    // Hash-only changes within the same page are not navigations
+    if (window.location.pathname === this.currentPath) return;
+
+    if (this.isTransitioning) {
+      this.pendingHref = window.location.href;
+      return;
+    }
+
+    const href = window.location.href;
+    const section = this.sectionForUrl(href);
+    const cassette = this.rack.querySelector(`[data-section="${section}"]`);
+
+    if (cassette) {
+      this.navigateWithAnimation(cassette, href, section, { push: false });
+    } else {
+      this.onLoadStart(section);
+      this.loadPage(href, section, { push: false });
+    }
+  }
+
+  /**
+   * Derive the current section from the cassettes in the rack.
+   * Each cassette's href is resolved against the document, so the site's
+   * url_path_prefix is already part of every candidate path; the longest
+   * cassette path that prefixes the URL wins. The home cassette only
+   * matches the site root itself, so pages no tape owns (404.html
+   * among them) have no section - null.
+   */
+  detectCurrentSection(url = window.location.href) {
+    this.currentSection = this.sectionForUrl(url);
+  }
+
+  sectionForUrl(url) {
+    const path = TapeDeck.normalizePath(url);
+    let section = null;
+    let matchLength = -1;
+
+    this.rack.querySelectorAll('.cassette[data-section]').forEach(cassette => {
+      const cassettePath = TapeDeck.normalizePath(cassette.getAttribute('href'));
+      const matches = cassette.dataset.section === 'home'
+        ? path === cassettePath
+        : path.startsWith(cassettePath);
+      if (matches && cassettePath.length > matchLength) {
+        section = cassette.dataset.section;
+        matchLength = cassettePath.length;
+      }
+    });
+
+    return section;
+  }
+
+  // Treat /about, /about/ and /about/index.html as the same page
+  static normalizePath(url) {
+    const { pathname } = new URL(url, document.baseURI);
+    return pathname.replace(/index\.html?$/, '').replace(/\/?$/, '/');
+  }
+
+  markCurrentLoaded() {
+    let currentCassette = null;
+    this.getCassettes().forEach(cassette => {
+      const isCurrent = cassette.dataset.section === this.currentSection;
+      cassette.classList.toggle('loaded', isCurrent);
+      if (isCurrent) {
+        cassette.setAttribute('aria-current', 'page');
+        currentCassette = cassette;
+      } else {
+        cassette.removeAttribute('aria-current');
+      }
+    });
+
+    // Tab into the rack lands on the loaded tape unless the user is already in it
+    if (!this.rack.contains(document.activeElement)) {
+      this.setRovingCassette(currentCassette || this.getCassettes()[0]);
+    }
+
+    // Update the "Now Playing" label in the deck
+    this.updateNowPlayingLabel();
+  }
+
+  /**
+   * Show an ad-hoc tape in the deck (e.g. a listening-test clip)
+   * without navigating. releaseTape() restores the section label.
+   */
+  loadTape(label) {
+    if (this.deckSlot) {
+      // Restart the engage pulse
+      this.deckSlot.classList.remove('engaged');
+      void this.deckSlot.offsetWidth;
+      this.deckSlot.classList.add('engaged');
+    }
+
+    if (this.noiseGenerator) {
+      this.noiseGenerator.burst(150, 0.3);
+    }
+
+    const text = `Now Playing: ${label}`;
+    const capstan = document.querySelector('.deck-mechanism .capstan');
+    if (capstan) {
+      capstan.textContent = text;
+    }
+    this.announce(text);
+  }
+
+  releaseTape() {
+    this.updateNowPlayingLabel();
+  }
+
+  /**
+   * Page widgets playing audio spin the deck's reels. Several can play
+   * at once, so the reels only stop with the last of them. Returns true
+   * while any owner is still playing.
+   */
+  setPlaying(owner, playing) {
+    if (playing) {
+      this.players.add(owner);
+    } else {
+      this.players.delete(owner);
+    }
+
+    const anyPlaying = this.players.size > 0;
+    if (this.deckSlot) {
+      this.deckSlot.classList.toggle('playing', anyPlaying);
+    }
+    return anyPlaying;
+  }
+
+  updateNowPlayingLabel() {
+    const label = document.querySelector('.deck-mechanism .capstan');
+    if (!this.currentSection) return null;
+
+    const text = `Now Playing: ${this.getSectionName(this.currentSection)}`;
+    if (label) {
+      label.textContent = text;
+    }
+    return text;
+  }
+
+  // Prefer the cassette's own label so the deck matches the rack
+  getSectionName(sectionId) {
+    const labelText = this.rack.querySelector(`[data-section="${sectionId}"] .label-text`);
+    if (labelText && labelText.textContent.trim()) {
+      return labelText.textContent.trim();
+    }
+    return sectionId.charAt(0).toUpperCase() + sectionId.slice(1);
+  }
+
+  async navigateWithAnimation(cassetteElement, href, sectionId, { push = true } = {}) {
+    this.isTransitioning = true;
+    this.onLoadStart(sectionId);
+
+    cassetteElement.classList.add('loading');
+
+    // Start fetching while the tape animation plays
+    const pagePromise = this.fetchPage(href);
+    // Avoid an unhandled rejection before the animation awaits it
+    pagePromise.catch(() => { });
+
+    // Reduced/off effects: skip the tape mechanics, just cross-fade
+    if (this.effects && !this.effects.isFull) {
+      await this.fadeViewport(1, 0);
+      cassetteElement.classList.remove('loading');
+      await this.loadPage(href, sectionId, { push, pagePromise });
+      await this.fadeViewport(0, 1);
+      return;
+    }
+
+    // Phase 1: Lift cassette from rack
+    await this.animateLift(cassetteElement);
+
+    // Phase 2: Travel to deck
+    await this.animateTravel(cassetteElement);
+
+    // Phase 3: Insert into deck (with noise burst)
+    await this.animateInsert(cassetteElement);
+
+    // Reset the cassette so it renders in its rack position again
+    cassetteElement.classList.remove('loading');
+    this.resetCassette(cassetteElement);
+
+    await this.loadPage(href, sectionId, { push, pagePromise });
+  }
+
+  /**
+   * Load any in-site URL through the deck - the owning section's tape
+   * if there is one. Resolves to false if a transition is already
+   * running, true once the page is showing.
+   */
+  async navigate(href) {
+    if (this.isTransitioning) return false;
+
+    const url = new URL(href, window.location.href);
+    if (TapeDeck.normalizePath(url.href) === TapeDeck.normalizePath(window.location.href)) {
+      const target = url.hash && document.getElementById(decodeURIComponent(url.hash.slice(1)));
+      if (target) {
+        history.pushState(history.state, '', url.href);
+        target.scrollIntoView();
+      }
+      return true;
+    }
+
+    const section = this.sectionForUrl(url.href);
+    const cassette = this.rack.querySelector(`[data-section="${section}"]`);
+    if (cassette) {
+      await this.navigateWithAnimation(cassette, url.href, section);
+    } else {
+      this.onLoadStart(section);
+      await this.loadPage(url.href, section);
+    }
+    return true;
+  }
+
+  async ejectAndNavigate(href) {
+    this.isTransitioning = true;
+    this.onLoadStart('home');
+
+    const pagePromise = this.fetchPage(href);
+    pagePromise.catch(() => { });
+
+    // Trigger noise
+    if (this.noiseGenerator) {
+      this.noiseGenerator.burst(150, 0.4);
+    }
+
+    // Quick spindown animation
+    const reels = document.querySelectorAll('.reel');
+    reels.forEach(reel => {
+      reel.style.animationDuration = '4s';
+    });
+
+    // Counter rewind
+    if (this.effects && !this.effects.isFull) {
+      this.updateCounter(0);
+      await this.fadeViewport(1, 0);
+      await this.loadPage(href, 'home', { pagePromise });
+      await this.fadeViewport(0, 1);
+    } else {
+      await this.animateCounterRewind();
+      await this.loadPage(href, 'home', { pagePromise });
+    }
+
+    // The deck stays on screen - back to the stylesheet's reel speed
+    reels.forEach(reel => {
+      reel.style.animationDuration = '';
+    });
+  }
+
+  // Instant in "off", a short opacity cross-fade in "reduced"
+  async fadeViewport(from, to) {
+    if (!this.viewport || !this.effects || this.effects.isOff) return;
+
+    await this.viewport.animate([
+      { opacity: from },
+      { opacity: to }
+    ], {
+      duration: 150,
+      easing: 'ease-out',
+      fill: 'forwards'
+    }).finished;
+
+    // Hold the faded-out state until the new content is in, then let go
+    if (to === 1) {
+      this.viewport.getAnimations().forEach(animation => animation.cancel());
+    }
+  }
+
+  /**
+   * Swap in the page at href and update deck state.
+   * Falls back to a full page load if the fetch fails.
+   */
+  async loadPage(href, sectionId, { push = true, pagePromise = null } = {}) {
+    this.isTransitioning = true;
+
+    let page;
+    try {
+      page = await (pagePromise || this.fetchPage(href));
+    } catch (err) {
+      window.location.href = href;
+      return;
+    }
+
+    // Responses drop the fragment - carry it over from the request
+    const url = new URL(page.url, window.location.href);
+    url.hash = new URL(href, window.location.href).hash;
+
+    const previousSection = this.currentSection;
+    try {
+      this.swapContent(page, url.hash);
+
+      if (push) {
+        history.pushState({ section: sectionId }, '', url.href);
+      }
+      this.currentPath = window.location.pathname;
+
+      this.currentSection = sectionId;
+      this.markCurrentLoaded();
+      this.announce(this.updateNowPlayingLabel() || document.title);
+
+      const scanlines = document.querySelector('.scanlines');
+      if (scanlines) {
+        scanlines.classList.remove('rolling');
+      }
+    } catch (err) {
+      // A half-swapped page - let the browser load it properly
+      window.location.href = url.href;
+      return;
+    } finally {
+      // Never leave the deck busy, or every later tape is ignored
+      this.isTransitioning = false;
+    }
+
+    this.onLoadComplete(sectionId);
+    if (sectionId !== previousSection) {
+      this.onSectionChange(sectionId, previousSection);
+    }
+
+    // A back/forward press arrived mid-transition - catch up to it
+    if (this.pendingHref) {
+      this.pendingHref = null;
+      this.handlePopState();
+    }
+  }
+
+  fetchPage(href) {
+    return this.prefetcher.get(href);
+  }
+
+  async requestPage(href) {
+    const response = await fetch(href, { headers: { Accept: 'text/html' } });
+    if (!response.ok) {
+      throw new Error(`Failed to load ${href}: ${response.status}`);
+    }
+
+    const html = await response.text();
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const content = doc.querySelector('#content');
+    if (!content) {
+      throw new Error(`No #content in ${href}`);
+    }
+
+    return {
+      url: response.url || href,
+      document: doc,
+      title: doc.title,
+      content,
+      styles: doc.head.querySelectorAll('style[data-page-style]')
+    };
+  }
+
+  // What the prefetcher has loaded or queued, for debugging
+  get prefetched() {
+    return this.prefetcher.inspect();
+  }
+
+  swapContent(page, hash = '') {
+    // Layouts mark their own styles (in the <super> block of <head>) with
+    // data-page-style; anything else in <head> belongs to the shell
+    document.head.querySelectorAll('style[data-page-style]').forEach(style => style.remove());
+    page.styles.forEach(style => document.head.appendChild(document.importNode(style, true)));
+
+    document.title = page.title;
+    this.viewport.replaceChildren(
+      ...Array.from(page.content.childNodes, node => document.importNode(node, true))
+    );
+    this.runScripts(this.viewport);
+
+    const target = hash && document.getElementById(decodeURIComponent(hash.slice(1)));
+    if (target) {
+      target.scrollIntoView();
+    } else {
+      window.scrollTo(0, 0);
+    }
+
+    setupChromaticText();
+
+    // Let content scripts (math rendering etc.) process the new nodes
+    document.dispatchEvent(new CustomEvent('tapedeck:swap', {
+      detail: { viewport: this.viewport }
+    }));
+  }
+
+  // Parsed and imported scripts never run - swap in fresh copies that will
+  runScripts(root) {
+    root.querySelectorAll('script').forEach(old => {
+      if (!TapeDeck.SCRIPT_TYPES.includes(old.type.trim().toLowerCase())) return;
+
+      const script = document.createElement('script');
+      Array.from(old.attributes).forEach(({ name, value }) => script.setAttribute(name, value));
+      script.textContent = old.textContent;
+      old.replaceWith(script);
+    });
+  }
+
+  resetCassette(cassette) {
+    const cassetteBody = cassette.querySelector('.cassette-body');
+    if (cassetteBody) {
+      cassetteBody.getAnimations().forEach(animation => animation.cancel());
+    }
+  }
+
+  async animateLift(cassette) {
+    const cassetteBody = cassette.querySelector('.cassette-body');
+    if (!cassetteBody) return;
+
+    return cassetteBody.animate([
+      { transform: 'rotateX(15deg) translateY(0)' },
+      { transform: 'rotateX(0deg) translateY(-30px)' }
+    ], {
+      duration: 250,
+      easing: 'cubic-bezier(0.34, 1.56, 0.64, 1)',
+      fill: 'forwards'
+    }).finished;
+  }
+
+  async animateTravel(cassette) {
+    if (!this.deckSlot) return;
+
+    const cassetteBody = cassette.querySelector('.cassette-body');
+    if (!cassetteBody) return;
+
+    const cassetteRect = cassette.getBoundingClientRect();
+    const slotRect = this.deckSlot.getBoundingClientRect();
+
+    const deltaX = (slotRect.left + slotRect.width / 2) -
+      (cassetteRect.left + cassetteRect.width / 2);
+    const deltaY = slotRect.top - cassetteRect.top + 20;
+
+    return cassetteBody.animate([
+      { transform: 'rotateX(0deg) translateY(-30px)' },
+      { transform: `rotateX(0deg) translate(${deltaX}px, ${deltaY}px)` }
+    ], {
+      duration: 400,
+      easing: 'cubic-bezier(0.4, 0, 0.2, 1)',
+      fill: 'forwards'
+    }).finished;
+  }
+
+  async animateInsert(cassette) {
+    if (this.sounds) {
+      this.sounds.clunk();
+    }
+
+    // Trigger CRT noise burst - a tracking band rolling down
+    if (this.noiseGenerator) {
+      this.noiseGenerator.burst(200, 0.4, { pattern: 'band' });
+    }
+
+    // Trigger scanline roll
+    const scanlines = document.querySelector('.scanlines');
+    if (scanlines && (!this.effects || this.effects.isFull)) {
+      scanlines.classList.add('rolling');
+    }
+
+    const cassetteBody = cassette.querySelector('.cassette-body');
+    if (!cassetteBody) return;
+
+    await cassetteBody.animate([
+      { opacity: 1, transform: cassetteBody.style.transform || 'translateY(0)' },
+      { opacity: 0, transform: 'translateY(60px) scale(0.8)' }
+    ], {
+      duration: 300,
+      easing: 'cubic-bezier(0.4, 0, 1, 1)',
+      fill: 'forwards'
+    }).finished;
+
+    // Brief pause for effect
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  async animateCounterRewind() {
+    // Motor runs for exactly as long as the counter spins
+    const stopWhirr = this.sounds ? this.sounds.whirr() : () => { };
+
+    return new Promise(resolve => {
+      let value = 999;
+      animationScheduler.add(() => {
+        value -= 20;
+        this.updateCounter(Math.max(0, value));
+
+        if (value > 0) return true;
+        stopWhirr();
+        resolve();
+        return false;
+      }, { name: 'counter-rewind', priority: 'critical' });
+    });
+  }
+
+  /**
+   * Show how far through the page the reader is (0-1) on the counter.
+   * Ignored mid-transition so it doesn't fight the rewind animation.
+   */
+  setTapePosition(fraction) {
+    if (this.isTransitioning) return;
+    this.updateCounter(Math.round(Math.min(1, Math.max(0, fraction)) * 999));
+  }
+
+  updateCounter(value) {
+    if (!this.counter) return;
+
+    const digits = this.counter.querySelectorAll('.digit');
+    const str = String(Math.min(999, Math.max(0, value))).padStart(3, '0');
+    this.counter.setAttribute('aria-valuenow', Number(str));
+
+    digits.forEach((digit, i) => {
+      const newValue = str[i];
+      if (digit.dataset.value !== newValue) {
+        digit.classList.add('flipping');
+        digit.dataset.value = newValue;
+        digit.textContent = newValue;
+        setTimeout(() => digit.classList.remove('flipping'), 150);
+      }
+    });
+  }
+
+  animateVUMeters() {
+    this.levelMeter = new LevelMeter(this.vuMeters, this.effects);
+    this.levelMeter.start();
+  }
+
+}
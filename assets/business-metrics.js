@@ -0,0 +1,178 @@
+/**
+ * Business Metrics
+ * JavaScript port of BusinessMetricsCalculator
+ * (src/speech_quality/business/metrics.py) - converts MOS into
+ * clarity, meeting effectiveness and cost figures
+ *
+ * An ES module with no DOM use, so it can be reused outside the widget:
+ *   import { BusinessMetricsCalculator } from './business-metrics.js';
+ */
+
+export class BusinessMetricsCalculator {
+  static DEFAULTS = {
+    hourlyRate: 65.0,
+    meetingHoursPerWeek: 12.0,
+    durationMinutes: 60,
+    workingWeeksPerYear: 48,
+    remoteMeetingPercentage: 0.70,
+  };
+
+  // Anchors for _interpolate_mos_factor, keyed like the Python dicts
+  static AUDIO_QUALITY_FACTORS = {
+    mos_1: 0.4,
+    mos_2: 0.6,
+    mos_3: 0.8,
+    mos_4: 0.95,
+    mos_5: 1.0,
+  };
+
+  // [minimum MOS, probability] from best to worst
+  static MISUNDERSTANDING_STEPS = [
+    [4.5, 0.05],
+    [4.0, 0.10],
+    [3.5, 0.20],
+    [3.0, 0.30],
+    [2.5, 0.45],
+    [2.0, 0.60],
+  ];
+  static MISUNDERSTANDING_FLOOR = 0.80;
+
+  constructor(options = {}) {
+    this.options = { ...BusinessMetricsCalculator.DEFAULTS, ...options };
+  }
+
+  static clampMos(mosScore) {
+    return Math.min(5, Math.max(1, Number(mosScore)));
+  }
+
+  /**
+   * Linear interpolation between the integer MOS anchors (mos_1..mos_5).
+   */
+  interpolateMosFactor(mosScore, factors) {
+    const mos = BusinessMetricsCalculator.clampMos(mosScore);
+    const lower = Math.floor(mos);
+    const upper = Math.min(5, lower + 1);
+
+    const low = factors[`mos_${lower}`];
+    const high = factors[`mos_${upper}`];
+    return low + (high - low) * (mos - lower);
+  }
+
+  /**
+   * CCI: 0-100 score for communication quality, with a non-linear
+   * penalty below MOS 3.0.
+   */
+  calculateCommunicationClarityIndex(mosScore) {
+    const mos = BusinessMetricsCalculator.clampMos(mosScore);
+    let cci = ((mos - 1.0) / 4.0) * 100.0;
+
+    if (mos < 3.0) {
+      const penalty = (3.0 - mos) * 10;
+      cci = Math.max(0, cci - penalty);
+    }
+
+    return cci;
+  }
+
+  /**
+   * Effective meeting time percentage (0-100).
+   */
+  calculateMeetingEffectiveness(mosScore, durationMinutes = this.options.durationMinutes) {
+    // Even perfect meetings have some inefficiency
+    const baseEffectiveness = 0.85;
+
+    const audioQualityFactor = this.interpolateMosFactor(
+      mosScore,
+      BusinessMetricsCalculator.AUDIO_QUALITY_FACTORS
+    );
+
+    // Fatigue increases with duration
+    let fatigueFactor;
+    if (durationMinutes <= 30) {
+      fatigueFactor = 1.0;
+    } else if (durationMinutes <= 60) {
+      fatigueFactor = 0.95;
+    } else {
+      fatigueFactor = 0.85;
+    }
+
+    return baseEffectiveness * audioQualityFactor * fatigueFactor * 100;
+  }
+
+  /**
+   * Probability (0-1) that a given exchange is misunderstood.
+   */
+  calculateMisunderstandingProbability(mosScore) {
+    const mos = BusinessMetricsCalculator.clampMos(mosScore);
+    const step = BusinessMetricsCalculator.MISUNDERSTANDING_STEPS.find(([minimum]) => mos >= minimum);
+    return step ? step[1] : BusinessMetricsCalculator.MISUNDERSTANDING_FLOOR;
+  }
+
+  /**
+   * Cognitive load index (0-100).
+   */
+  calculateCognitiveLoadIndex(mosScore) {
+    const mos = BusinessMetricsCalculator.clampMos(mosScore);
+    const baseLoad = 20.0;
+
+    let additionalLoad;
+    if (mos >= 4.5) {
+      additionalLoad = 0;
+    } else if (mos >= 4.0) {
+      additionalLoad = 10;
+    } else if (mos >= 3.0) {
+      additionalLoad = 30;
+    } else if (mos >= 2.0) {
+      additionalLoad = 50;
+    } else {
+      additionalLoad = 70;
+    }
+
+    return Math.min(100.0, baseLoad + additionalLoad);
+  }
+
+  /**
+   * Annual productivity cost from poor audio. Unlike the Python
+   * signature, meeting duration is passed through to the
+   * effectiveness calculation so it can be varied.
+   */
+  calculateCosts(mosScore, options = {}) {
+    const {
+      hourlyRate,
+      meetingHoursPerWeek,
+      durationMinutes,
+      workingWeeksPerYear,
+      remoteMeetingPercentage,
+    } = { ...this.options, ...options };
+
+    const meetingEffectiveness = this.calculateMeetingEffectiveness(mosScore, durationMinutes) / 100.0;
+
+    // Productivity loss per meeting hour
+    const productivityLossPerHour = hourlyRate * (1 - meetingEffectiveness);
+
+    const weeklyRemoteHours = meetingHoursPerWeek * remoteMeetingPercentage;
+    const annualCost = weeklyRemoteHours * workingWeeksPerYear * productivityLossPerHour;
+
+    return {
+      annual_cost_per_employee: annualCost,
+      productivity_loss_per_hour: productivityLossPerHour,
+      weekly_remote_hours: weeklyRemoteHours,
+    };
+  }
+
+  /**
+   * Everything at once, keyed like calculate_all_metrics.
+   */
+  calculateAllMetrics(mosScore, options = {}) {
+    const settings = { ...this.options, ...options };
+
+    return {
+      mos_score: BusinessMetricsCalculator.clampMos(mosScore),
+      communication_clarity_index: this.calculateCommunicationClarityIndex(mosScore),
+      effective_meeting_time_pct: this.calculateMeetingEffectiveness(mosScore, settings.durationMinutes),
+      misunderstanding_probability: this.calculateMisunderstandingProbability(mosScore),
+      cognitive_load_index: this.calculateCognitiveLoadIndex(mosScore),
+      ...this.calculateCosts(mosScore, settings),
+    };
+  }
+}
@@ -0,0 +1,267 @@
+/**
+ * Code Blocks
+ * Toolbar for rendered code listings: language and source-path header,
+ * copy button, highlighted lines and collapsing of long blocks
+ *
+ * A leading source comment becomes the header:
+ *   # From src/speech_quality/degradation/codec.py
+ * Lines are highlighted by wrapping the fence in a marked block, one
+ * class per line or range:
+ *   >[]($block.attrs('highlight-2-4', 'highlight-9'))
+ *   >```python
+ * (or data-highlight="2-4, 9" on a raw HTML <pre>). Line numbers count
+ * the listing as shown, after the header is removed.
+ *
+ * Copying fires a bubbling `codeblock:copy` event; blocks ask for a
+ * minion pounce on copy unless the <pre> declares its own data-minion-on.
+ */
+
+// Blocks longer than this start collapsed behind "expand tape"
+const CODE_COLLAPSE_LINES = 25;
+const CODE_PREVIEW_LINES = 12;
+
+const CODE_SOURCE_COMMENT = /^\s*(?:#|\/\/)\s*(?:From\s+)?((?:[\w.-]+\/)+[\w.-]+\.\w+)\s*$/;
+const CODE_HIGHLIGHT_CLASS = /^highlight-(\d+(?:-\d+)?)$/;
+
+const CODE_LANGUAGE_NAMES = {
+  python: 'Python',
+  py: 'Python',
+  js: 'JavaScript',
+  javascript: 'JavaScript',
+  bash: 'Shell',
+  sh: 'Shell',
+  zig: 'Zig',
+  ziggy: 'Ziggy',
+  json: 'JSON',
+  html: 'HTML',
+  css: 'CSS',
+};
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Split highlighted HTML into one string per line, closing and
+ * reopening any spans that run across a line break.
+ */
+function splitHighlightedLines(html) {
+  const lines = [];
+  const open = [];
+  let current = '';
+
+  html.split(/(<[^>]+>)/).forEach(token => {
+    if (token.startsWith('</')) {
+      open.pop();
+      current += token;
+    } else if (token.startsWith('<')) {
+      open.push(token);
+      current += token;
+    } else {
+      const parts = token.split('\n');
+      parts.forEach((part, index) => {
+        if (index > 0) {
+          lines.push(current + '</span>'.repeat(open.length));
+          current = open.join('');
+        }
+        current += part;
+      });
+    }
+  });
+  lines.push(current);
+
+  // A trailing newline leaves an empty last line
+  if (lines.length > 1 && lines[lines.length - 1].replace(/<[^>]+>/g, '') === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+// Ranges from the highlight-N / highlight-N-M classes of the marked block
+function blockHighlights(pre) {
+  const marker = pre.closest('[class*="highlight-"]');
+  if (!marker) return '';
+  return Array.from(marker.classList, name => (name.match(CODE_HIGHLIGHT_CLASS) || [])[1])
+    .filter(Boolean)
+    .join(',');
+}
+
+function parseLineRanges(spec) {
+  const lines = new Set();
+  spec.split(',').forEach(part => {
+    const [start, end] = part.split('-').map(n => parseInt(n, 10));
+    if (Number.isNaN(start)) return;
+    const last = Number.isFinite(end) ? end : start;
+    for (let line = start; line <= last; line++) {
+      lines.add(line);
+    }
+  });
+  return lines;
+}
+
+// ============================================
+// Code Block
+// ============================================
+class CodeBlock {
+  static nextId = 0;
+
+  constructor(pre) {
+    this.pre = pre;
+    this.code = pre.querySelector('code');
+    this.id = `code-block-${CodeBlock.nextId++}`;
+
+    this.language = this.detectLanguage();
+    this.source = null;
+    this.highlighted = parseLineRanges(pre.dataset.highlight || blockHighlights(pre));
+
+    this.lines = this.readLines();
+    this.render();
+    this.build();
+  }
+
+  // Zine puts the fence language on <code> as its class
+  detectLanguage() {
+    const name = this.code.classList[0] || '';
+    return name.replace(/^language-/, '').toLowerCase() || null;
+  }
+
+  // Peel the source-path comment off the top
+  readLines() {
+    const lines = splitHighlightedLines(this.code.innerHTML);
+    const text = html => {
+      const div = document.createElement('div');
+      div.innerHTML = html;
+      return div.textContent;
+    };
+
+    const source = lines.length > 1 && text(lines[0]).match(CODE_SOURCE_COMMENT);
+    if (source) {
+      this.source = source[1];
+      lines.shift();
+    }
+
+    return lines;
+  }
+
+  render() {
+    this.code.innerHTML = this.lines
+      .map((html, index) => {
+        const number = index + 1;
+        const marked = this.highlighted.has(number) ? ' highlighted' : '';
+        return `<span class="code-line${marked}" data-line="${number}">${html || ' '}</span>`;
+      })
+      .join('\n');
+    this.code.id = this.id;
+  }
+
+  get text() {
+    return Array.from(this.code.querySelectorAll('.code-line'), line => line.textContent.replace(/^ $/, '')).join('\n');
+  }
+
+  // ----------------------------------------
+  // Chrome
+  // ----------------------------------------
+  build() {
+    this.wrapper = document.createElement('div');
+    this.wrapper.className = 'code-block';
+    this.wrapper.dataset.minionOn = this.pre.dataset.minionOn || 'copy:pounce';
+    this.pre.before(this.wrapper);
+
+    const header = document.createElement('div');
+    header.className = 'code-block-header';
+
+    if (this.language) {
+      const label = document.createElement('span');
+      label.className = 'code-block-language';
+      label.textContent = CODE_LANGUAGE_NAMES[this.language] || this.language;
+      header.appendChild(label);
+    }
+
+    if (this.source) {
+      const path = document.createElement('span');
+      path.className = 'code-block-source';
+      path.textContent = this.source;
+      header.appendChild(path);
+    }
+
+    this.copyBtn = document.createElement('button');
+    this.copyBtn.type = 'button';
+    this.copyBtn.className = 'code-block-copy';
+    this.copyBtn.textContent = 'Copy';
+    this.copyBtn.setAttribute('aria-label', `Copy ${this.source || 'code'}`);
+    this.copyBtn.addEventListener('click', () => this.copy());
+
+    this.status = document.createElement('span');
+    this.status.className = 'visually-hidden';
+    this.status.setAttribute('role', 'status');
+
+    header.append(this.copyBtn, this.status);
+    this.wrapper.append(header, this.pre);
+
+    if (this.lines.length > CODE_COLLAPSE_LINES) {
+      this.buildCollapse();
+    }
+  }
+
+  buildCollapse() {
+    this.pre.style.setProperty('--preview-lines', CODE_PREVIEW_LINES);
+
+    this.expandBtn = document.createElement('button');
+    this.expandBtn.type = 'button';
+    this.expandBtn.className = 'code-block-expand';
+    this.expandBtn.setAttribute('aria-controls', this.id);
+    this.expandBtn.addEventListener('click', () => this.setCollapsed(!this.collapsed));
+    this.wrapper.appendChild(this.expandBtn);
+
+    this.setCollapsed(true);
+  }
+
+  setCollapsed(collapsed) {
+    this.collapsed = collapsed;
+    this.pre.classList.toggle('collapsed', collapsed);
+    this.expandBtn.setAttribute('aria-expanded', String(!collapsed));
+    this.expandBtn.textContent = collapsed
+      ? `Expand tape (${this.lines.length} lines)`
+      : 'Rewind tape';
+
+    if (collapsed) {
+      this.pre.scrollTop = 0;
+    }
+  }
+
+  async copy() {
+    try {
+      await navigator.clipboard.writeText(this.text);
+      this.copyBtn.textContent = 'Copied!';
+      this.status.textContent = 'Code copied to clipboard';
+      this.wrapper.dispatchEvent(new CustomEvent('codeblock:copy', {
+        bubbles: true,
+        detail: { source: this.source, language: this.language }
+      }));
+    } catch (err) {
+      this.copyBtn.textContent = 'Copy failed';
+      this.status.textContent = 'Copy failed';
+    }
+    setTimeout(() => {
+      this.copyBtn.textContent = 'Copy';
+      this.status.textContent = '';
+    }, 1500);
+  }
+}
+
+// ============================================
+// Initialization
+// ============================================
+function setupCodeBlocks(root) {
+  root.querySelectorAll('pre > code').forEach(code => {
+    const pre = code.parentElement;
+    if (pre.closest('.code-block')) return;
+    new CodeBlock(pre);
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => setupCodeBlocks(document));
+
+document.addEventListener('tapedeck:swap', (e) => {
+  setupCodeBlocks(e.detail.viewport);
+});
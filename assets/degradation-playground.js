@@ -0,0 +1,673 @@
+/**
+ * Degradation Playground
+ * Applies the pipeline's degradation chain to a clean speech clip in the
+ * browser, mirroring src/speech_quality/degradation/*.py with Web Audio
+ *
+ * Declared in Markdown with:
+ *   <div class="degradation-playground" data-src="clips/clean.wav"></div>
+ * with data-src relative to the site root (site-paths.js).
+ * Without data-src (or if it fails to load) a synthesized vowel sequence
+ * stands in for the clean clip.
+ */
+
+// ============================================
+// Configs - same names as the Python pipeline
+// ============================================
+const CODEC_CONFIGS = {
+  mp3_64k: { type: 'mp3', bitrate_kbps: 64 },
+  mp3_128k: { type: 'mp3', bitrate_kbps: 128 },
+  opus_16k: { type: 'opus', bitrate_kbps: 16 },
+  opus_32k: { type: 'opus', bitrate_kbps: 32 },
+  amr_nb: { type: 'amr-nb', bitrate_kbps: 12.2 },
+};
+
+const BANDWIDTH_CONFIGS = {
+  telephone: { low_cutoff_hz: 300, high_cutoff_hz: 3400 },
+  voip_narrow: { low_cutoff_hz: 50, high_cutoff_hz: 7000 },
+  voip_wide: { low_cutoff_hz: 50, high_cutoff_hz: 7500 },
+};
+
+const NOISE_CONFIGS = {
+  white_5db: { type: 'white', snr_db: 5 },
+  white_15db: { type: 'white', snr_db: 15 },
+  babble_10db: { type: 'babble', snr_db: 10 },
+  office_20db: { type: 'ambient', snr_db: 20 },
+};
+
+const NETWORK_CONFIGS = {
+  packet_loss_1pct: { type: 'packet_loss', loss_rate: 0.01 },
+  packet_loss_5pct: { type: 'packet_loss', loss_rate: 0.05 },
+  jitter_20ms: { type: 'jitter', jitter_ms: 20 },
+  jitter_50ms: { type: 'jitter', jitter_ms: 50 },
+};
+
+// Lo-fi stand-in for a real encode/decode: the bitrate sets the audible
+// bandwidth, an effective sample rate and how coarsely samples are quantized
+const CODEC_APPROXIMATIONS = {
+  mp3_64k: { cutoffHz: 11000, sampleRate: 32000, bits: 10 },
+  mp3_128k: { cutoffHz: 16000, sampleRate: 44100, bits: 12 },
+  opus_16k: { cutoffHz: 8000, sampleRate: 16000, bits: 7 },
+  opus_32k: { cutoffHz: 12000, sampleRate: 24000, bits: 9 },
+  amr_nb: { cutoffHz: 3400, sampleRate: 8000, bits: 6 },
+};
+
+const PACKET_MS = 20;
+const PLAYOUT_BUFFER_MS = 60;
+
+// ============================================
+// Helpers
+// ============================================
+
+// Seeded PRNG so tweaking one stage doesn't reshuffle the others
+function mulberry32(seed) {
+  return () => {
+    seed |= 0;
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function rms(data) {
+  let sum = 0;
+  for (let i = 0; i < data.length; i++) {
+    sum += data[i] * data[i];
+  }
+  return Math.sqrt(sum / data.length) || 1e-9;
+}
+
+// Run samples through a filter graph built by buildGraph(context, source)
+async function renderThrough(samples, sampleRate, buildGraph) {
+  const context = new OfflineAudioContext(1, samples.length, sampleRate);
+  const buffer = context.createBuffer(1, samples.length, sampleRate);
+  buffer.copyToChannel(samples, 0);
+
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  buildGraph(context, source).connect(context.destination);
+  source.start();
+
+  const rendered = await context.startRendering();
+  return rendered.getChannelData(0).slice();
+}
+
+// Cascade two biquads per edge for a steeper, telephone-like band edge
+function bandPass(context, source, lowHz, highHz) {
+  let node = source;
+  [lowHz && { type: 'highpass', frequency: lowHz }, highHz && { type: 'lowpass', frequency: highHz }]
+    .filter(Boolean)
+    .forEach(options => {
+      for (let i = 0; i < 2; i++) {
+        const filter = new BiquadFilterNode(context, {
+          ...options,
+          frequency: Math.min(options.frequency, context.sampleRate / 2 - 1)
+        });
+        node.connect(filter);
+        node = filter;
+      }
+    });
+  return node;
+}
+
+// ============================================
+// Degradation Stages
+// Each takes and returns mono Float32Array samples
+// ============================================
+const STAGES = {
+  codec: {
+    label: 'Codec',
+    configs: CODEC_CONFIGS,
+    defaultConfig: 'opus_16k',
+    async apply(samples, sampleRate, { config }) {
+      const approx = CODEC_APPROXIMATIONS[config];
+      const filtered = await renderThrough(samples, sampleRate,
+        (context, source) => bandPass(context, source, 0, approx.cutoffHz));
+
+      // Sample-and-hold to the codec's rate, then requantize
+      const hold = Math.max(1, Math.round(sampleRate / approx.sampleRate));
+      const steps = 2 ** (approx.bits - 1);
+      for (let i = 0; i < filtered.length; i += hold) {
+        const value = Math.round(filtered[i] * steps) / steps;
+        filtered.fill(value, i, Math.min(i + hold, filtered.length));
+      }
+      return filtered;
+    }
+  },
+
+  bandwidth: {
+    label: 'Bandwidth',
+    configs: BANDWIDTH_CONFIGS,
+    defaultConfig: 'telephone',
+    apply(samples, sampleRate, { config }) {
+      const { low_cutoff_hz: low, high_cutoff_hz: high } = BANDWIDTH_CONFIGS[config];
+      return renderThrough(samples, sampleRate,
+        (context, source) => bandPass(context, source, low, high));
+    }
+  },
+
+  noise: {
+    label: 'Noise',
+    configs: NOISE_CONFIGS,
+    defaultConfig: 'babble_10db',
+    hasSnr: true,
+    apply(samples, sampleRate, { config, snrDb, random }) {
+      const noise = STAGES.noise.generate(NOISE_CONFIGS[config].type, samples, sampleRate, random);
+
+      // Scale noise so signal RMS / noise RMS hits the chosen SNR
+      const gain = rms(samples) / (rms(noise) * 10 ** (snrDb / 20));
+      const output = new Float32Array(samples.length);
+      for (let i = 0; i < samples.length; i++) {
+        output[i] = samples[i] + noise[i] * gain;
+      }
+      return output;
+    },
+
+    generate(type, samples, sampleRate, random) {
+      const noise = new Float32Array(samples.length);
+
+      if (type === 'babble') {
+        // Classic babble: several time-shifted copies of speech summed
+        const talkers = 6;
+        for (let t = 0; t < talkers; t++) {
+          const offset = Math.floor(random() * samples.length);
+          for (let i = 0; i < samples.length; i++) {
+            noise[i] += samples[(i + offset) % samples.length];
+          }
+        }
+      } else if (type === 'ambient') {
+        // Office hum: pinkish rumble plus mains hum
+        let smoothed = 0;
+        for (let i = 0; i < samples.length; i++) {
+          smoothed = smoothed * 0.98 + (random() * 2 - 1) * 0.02;
+          noise[i] = smoothed * 4 + 0.3 * Math.sin(2 * Math.PI * 50 * i / sampleRate);
+        }
+      } else {
+        for (let i = 0; i < samples.length; i++) {
+          noise[i] = random() * 2 - 1;
+        }
+      }
+      return noise;
+    }
+  },
+
+  network: {
+    label: 'Network',
+    configs: NETWORK_CONFIGS,
+    defaultConfig: 'packet_loss_5pct',
+    apply(samples, sampleRate, { config, random }) {
+      const settings = NETWORK_CONFIGS[config];
+      const packet = Math.round(sampleRate * PACKET_MS / 1000);
+      const output = new Float32Array(samples.length);
+
+      for (let start = 0; start < samples.length; start += packet) {
+        const lost = settings.type === 'packet_loss'
+          ? random() < settings.loss_rate
+          : STAGES.network.arrivesLate(settings.jitter_ms, random);
+        if (lost) continue;
+
+        const end = Math.min(start + packet, samples.length);
+        output.set(samples.subarray(start, end), start);
+      }
+      return output;
+    },
+
+    // Gaussian delay around the nominal arrival; anything later than
+    // the playout buffer misses its slot and plays as silence
+    arrivesLate(jitterMs, random) {
+      const gaussian = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+      return Math.abs(gaussian) * jitterMs > PLAYOUT_BUFFER_MS;
+    }
+  }
+};
+
+// ============================================
+// Synthesized stand-in for the clean clip
+// Glottal sawtooth through moving vowel formants, plus fricatives
+// ============================================
+const SYNTH_VOWELS = [
+  [730, 1090, 2440], // a
+  [530, 1840, 2480], // e
+  [270, 2290, 3010], // i
+  [570, 840, 2410],  // o
+  [300, 870, 2240],  // u
+];
+
+async function synthesizeSpeech(sampleRate = 16000, seconds = 3.2) {
+  const length = Math.round(sampleRate * seconds);
+  const context = new OfflineAudioContext(1, length, sampleRate);
+  const random = mulberry32(7);
+
+  const voice = new OscillatorNode(context, { type: 'sawtooth', frequency: 120 });
+  const voiceGain = new GainNode(context, { gain: 0 });
+  const syllable = 0.32;
+  voice.connect(voiceGain);
+  voice.frequency.setValueAtTime(120, 0);
+
+  for (let t = 0, i = 0; t < seconds; t += syllable, i++) {
+    // Falling-rising pitch contour per phrase
+    voice.frequency.linearRampToValueAtTime(110 + 35 * Math.sin(t * 2.1), t + syllable);
+    voiceGain.gain.setTargetAtTime(0.5, t + 0.02, 0.02);
+    voiceGain.gain.setTargetAtTime(0, t + syllable * 0.7, 0.03);
+  }
+
+  // One vowel per syllable, shared by all three formant filters
+  const vowels = [];
+  for (let t = 0; t < seconds; t += syllable) {
+    vowels.push(SYNTH_VOWELS[Math.floor(random() * SYNTH_VOWELS.length)]);
+  }
+
+  SYNTH_VOWELS[0].forEach((frequency, f) => {
+    const filter = new BiquadFilterNode(context, { type: 'bandpass', frequency, Q: 8 - f * 2 });
+    vowels.forEach((vowel, i) => filter.frequency.setTargetAtTime(vowel[f], i * syllable, 0.03));
+    voiceGain.connect(filter).connect(context.destination);
+  });
+
+  // 's'-like fricatives between some syllables
+  const noiseBuffer = context.createBuffer(1, length, sampleRate);
+  const noiseData = noiseBuffer.getChannelData(0);
+  for (let i = 0; i < length; i++) {
+    noiseData[i] = random() * 2 - 1;
+  }
+  const hiss = new AudioBufferSourceNode(context, { buffer: noiseBuffer });
+  const hissGain = new GainNode(context, { gain: 0 });
+  for (let t = syllable * 0.75; t < seconds; t += syllable * 3) {
+    hissGain.gain.setTargetAtTime(0.08, t, 0.01);
+    hissGain.gain.setTargetAtTime(0, t + 0.08, 0.01);
+  }
+  hiss.connect(hissGain);
+  bandPass(context, hissGain, 4000, 0).connect(context.destination);
+
+  voice.start();
+  hiss.start();
+
+  const rendered = await context.startRendering();
+  const samples = rendered.getChannelData(0);
+  const peak = samples.reduce((max, value) => Math.max(max, Math.abs(value)), 0) || 1;
+  return { samples: samples.map(value => value / peak * 0.7), sampleRate };
+}
+
+// ============================================
+// Playground Widget
+// ============================================
+class DegradationPlayground {
+  constructor(element) {
+    this.element = element;
+    this.chain = Object.keys(STAGES).map(name => ({
+      name,
+      enabled: name !== 'network',
+      config: STAGES[name].defaultConfig,
+      snrDb: STAGES[name].hasSnr ? NOISE_CONFIGS[STAGES[name].defaultConfig].snr_db : null
+    }));
+
+    this.encoded = null;
+    this.decoding = null;
+    this.clean = null;
+    this.degraded = null;
+    this.variant = 'degraded';
+    this.source = null;
+    this.isPlaying = false;
+    this.startedAt = 0;
+    this.offset = 0;
+    this.renderId = 0;
+
+    this.build();
+    this.load();
+  }
+
+  get tapeDeck() {
+    return window.boombox && window.boombox.tapeDeck;
+  }
+
+  // Share the deck's audio context so playback drives the VU meters
+  get levelMeter() {
+    return this.tapeDeck && this.tapeDeck.levelMeter;
+  }
+
+  get context() {
+    if (!this.audioContext) {
+      this.audioContext = this.levelMeter ? this.levelMeter.audioContext : new AudioContext();
+      this.output = new GainNode(this.audioContext);
+      this.output.connect(this.audioContext.destination);
+      if (this.levelMeter) {
+        this.levelMeter.connectNode(this.output);
+      }
+    }
+    return this.audioContext;
+  }
+
+  build() {
+    this.element.innerHTML = '';
+    this.element.setAttribute('role', 'group');
+    this.element.setAttribute('aria-label', 'Degradation playground');
+
+    const transport = document.createElement('div');
+    transport.className = 'playground-transport';
+
+    this.playBtn = document.createElement('button');
+    this.playBtn.type = 'button';
+    this.playBtn.className = 'deck-btn playground-play';
+    this.playBtn.setAttribute('aria-label', 'Play');
+    this.playBtn.innerHTML = '<span class="btn-icon" aria-hidden="true">▶</span>';
+    this.playBtn.addEventListener('click', () => this.togglePlayback());
+
+    const compare = document.createElement('div');
+    compare.className = 'playground-compare';
+    compare.setAttribute('role', 'group');
+    compare.setAttribute('aria-label', 'Compare');
+    this.variantBtns = [['clean', 'A · Clean'], ['degraded', 'B · Degraded']].map(([variant, text]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'playground-variant';
+      btn.dataset.variant = variant;
+      btn.textContent = text;
+      btn.addEventListener('click', () => this.setVariant(variant));
+      compare.appendChild(btn);
+      return btn;
+    });
+
+    this.status = document.createElement('span');
+    this.status.className = 'playground-status';
+    this.status.setAttribute('aria-live', 'polite');
+
+    transport.append(this.playBtn, compare, this.status);
+
+    this.chainList = document.createElement('ol');
+    this.chainList.className = 'playground-chain';
+
+    this.summary = document.createElement('code');
+    this.summary.className = 'playground-summary';
+
+    this.element.append(transport, this.chainList, this.summary);
+    this.renderChain();
+    this.setVariant(this.variant);
+  }
+
+  renderChain() {
+    this.chainList.innerHTML = '';
+
+    this.chain.forEach((step, index) => {
+      const stage = STAGES[step.name];
+      const item = document.createElement('li');
+      item.className = 'playground-stage';
+      item.dataset.stage = step.name;
+      item.classList.toggle('disabled', !step.enabled);
+
+      const toggle = document.createElement('label');
+      toggle.className = 'playground-toggle';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = step.enabled;
+      checkbox.addEventListener('change', () => {
+        step.enabled = checkbox.checked;
+        this.update();
+      });
+      toggle.append(checkbox, ` ${stage.label}`);
+
+      const select = document.createElement('select');
+      select.setAttribute('aria-label', `${stage.label} config`);
+      Object.keys(stage.configs).forEach(name => {
+        const option = new Option(name, name, false, name === step.config);
+        select.add(option);
+      });
+      select.addEventListener('change', () => {
+        step.config = select.value;
+        if (stage.hasSnr) {
+          step.snrDb = NOISE_CONFIGS[step.config].snr_db;
+        }
+        this.update();
+      });
+
+      item.append(toggle, select);
+
+      if (stage.hasSnr) {
+        const snr = document.createElement('label');
+        snr.className = 'playground-snr';
+        const range = document.createElement('input');
+        range.type = 'range';
+        range.min = '-5';
+        range.max = '30';
+        range.value = String(step.snrDb);
+        const readout = document.createElement('output');
+        readout.textContent = `${step.snrDb} dB`;
+        range.addEventListener('input', () => {
+          step.snrDb = Number(range.value);
+          readout.textContent = `${step.snrDb} dB`;
+          this.update();
+        });
+        snr.append('SNR ', range, readout);
+        item.appendChild(snr);
+      }
+
+      const moves = document.createElement('span');
+      moves.className = 'playground-moves';
+      [[-1, '▲', 'up'], [1, '▼', 'down']].forEach(([delta, icon, word]) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = icon;
+        btn.setAttribute('aria-label', `Move ${stage.label} ${word}`);
+        btn.disabled = index + delta < 0 || index + delta >= this.chain.length;
+        btn.addEventListener('click', () => this.move(index, delta));
+        moves.appendChild(btn);
+      });
+      item.appendChild(moves);
+
+      this.chainList.appendChild(item);
+    });
+
+    const active = this.chain.filter(step => step.enabled).map(step => `"${step.name}"`);
+    this.summary.textContent = `degradation_types=[${active.join(', ')}]`;
+  }
+
+  move(index, delta) {
+    const [step] = this.chain.splice(index, 1);
+    this.chain.splice(index + delta, 0, step);
+    this.update();
+
+    // Keep focus on the control the user just pressed
+    const buttons = this.chainList.children[index + delta].querySelectorAll('.playground-moves button');
+    const target = buttons[delta < 0 ? 0 : 1];
+    (target.disabled ? buttons[delta < 0 ? 1 : 0] : target).focus();
+  }
+
+  // Only fetches the clip - decoding needs the audio context, which
+  // waits for the first press of play
+  async load() {
+    this.setStatus('Loading clip…');
+    this.element.setAttribute('aria-busy', 'true');
+    const src = this.element.dataset.src;
+
+    try {
+      if (!src) throw new Error('No clip configured');
+      const response = await fetch(siteUrl(src));
+      if (!response.ok) throw new Error(`Failed to load ${src}: ${response.status}`);
+      this.encoded = await response.arrayBuffer();
+      this.setStatus('');
+    } catch (err) {
+      await this.useSynthesized();
+    }
+
+    this.element.setAttribute('aria-busy', 'false');
+  }
+
+  async decode() {
+    this.element.setAttribute('aria-busy', 'true');
+
+    try {
+      const decoded = await this.context.decodeAudioData(this.encoded);
+      this.clean = { samples: decoded.getChannelData(0).slice(), sampleRate: decoded.sampleRate };
+      await this.process();
+    } catch (err) {
+      await this.useSynthesized();
+    }
+
+    this.encoded = null;
+    this.element.setAttribute('aria-busy', 'false');
+  }
+
+  async useSynthesized() {
+    this.clean = await synthesizeSpeech();
+    this.setStatus('Using a synthesized voice');
+    await this.process();
+  }
+
+  update() {
+    this.renderChain();
+    clearTimeout(this.updateTimer);
+    this.updateTimer = setTimeout(() => this.process(), 150);
+  }
+
+  // Mirrors apply_degradation_chain: each stage feeds the next
+  async process() {
+    if (!this.clean) return;
+
+    const renderId = ++this.renderId;
+    const { sampleRate } = this.clean;
+    let samples = this.clean.samples;
+
+    for (const step of this.chain) {
+      if (!step.enabled) continue;
+      const random = mulberry32(Object.keys(STAGES).indexOf(step.name) + 1);
+      samples = await STAGES[step.name].apply(samples, sampleRate, { ...step, random });
+      // A newer edit superseded this render
+      if (renderId !== this.renderId) return;
+    }
+
+    this.degraded = { samples, sampleRate };
+    if (this.status.textContent === 'Loading clip…') {
+      this.setStatus('');
+    }
+
+    if (this.isPlaying && this.variant === 'degraded') {
+      this.restartAt(this.currentOffset());
+    }
+  }
+
+  toBuffer(clip) {
+    const buffer = this.context.createBuffer(1, clip.samples.length, clip.sampleRate);
+    buffer.copyToChannel(clip.samples, 0);
+    return buffer;
+  }
+
+  currentOffset() {
+    if (!this.isPlaying) return this.offset;
+    const duration = this.clean.samples.length / this.clean.sampleRate;
+    return (this.context.currentTime - this.startedAt) % duration;
+  }
+
+  setVariant(variant) {
+    this.variant = variant;
+    this.variantBtns.forEach(btn => {
+      btn.setAttribute('aria-pressed', btn.dataset.variant === variant);
+    });
+
+    // A/B at the same timestamp
+    if (this.isPlaying) {
+      this.restartAt(this.currentOffset());
+    }
+  }
+
+  togglePlayback() {
+    if (this.isPlaying) {
+      this.stop();
+    } else {
+      this.play();
+    }
+  }
+
+  async play() {
+    // First press: the context is created here, inside the gesture
+    if (this.encoded) {
+      this.decoding = this.decoding || this.decode();
+      await this.decoding;
+    }
+    if (!this.clean || !this.degraded || this.isPlaying) return;
+
+    if (this.context.state === 'suspended') {
+      this.context.resume();
+    }
+
+    this.isPlaying = true;
+    this.restartAt(this.offset);
+
+    this.playBtn.setAttribute('aria-label', 'Stop');
+    this.playBtn.querySelector('.btn-icon').textContent = '■';
+    this.setDeckPlaying(true);
+  }
+
+  stop() {
+    this.offset = this.currentOffset();
+    this.isPlaying = false;
+    this.stopSource();
+
+    this.playBtn.setAttribute('aria-label', 'Play');
+    this.playBtn.querySelector('.btn-icon').textContent = '▶';
+    this.setDeckPlaying(false);
+  }
+
+  restartAt(offset) {
+    this.stopSource();
+
+    const clip = this.variant === 'clean' ? this.clean : this.degraded;
+    this.source = new AudioBufferSourceNode(this.context, { buffer: this.toBuffer(clip), loop: true });
+    this.source.connect(this.output);
+    this.source.start(0, offset);
+    this.startedAt = this.context.currentTime - offset;
+  }
+
+  stopSource() {
+    if (this.source) {
+      this.source.stop();
+      this.source.disconnect();
+      this.source = null;
+    }
+  }
+
+  // Spin the deck's reels and light the meters while we play
+  setDeckPlaying(playing) {
+    const slot = document.querySelector('.deck-slot');
+    if (this.tapeDeck) {
+      this.tapeDeck.setPlaying(this, playing);
+    } else if (slot) {
+      slot.classList.toggle('playing', playing);
+    }
+
+    if (this.levelMeter) {
+      if (playing) {
+        this.levelMeter.markPlaying(this);
+      } else {
+        this.levelMeter.markStopped(this);
+      }
+    }
+  }
+
+  setStatus(text) {
+    this.status.textContent = text;
+  }
+
+  destroy() {
+    if (this.isPlaying) {
+      this.stop();
+    }
+  }
+}
+
+// ============================================
+// Initialization
+// ============================================
+let degradationPlaygrounds = [];
+
+function setupDegradationPlaygrounds(root) {
+  root.querySelectorAll('.degradation-playground').forEach(element => {
+    degradationPlaygrounds.push(new DegradationPlayground(element));
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => setupDegradationPlaygrounds(document));
+
+// Content swapped in by the tape deck - stop anything left playing
+document.addEventListener('tapedeck:swap', (e) => {
+  degradationPlaygrounds.forEach(playground => playground.destroy());
+  degradationPlaygrounds = [];
+  setupDegradationPlaygrounds(e.detail.viewport);
+});
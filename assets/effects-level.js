@@ -0,0 +1,45 @@
+/**
+ * Effects Level
+ * Storage key, levels and default of the global off / reduced / full
+ * effects level. Loaded as a blocking script in <head> so the level is on
+ * <html> before first paint; EffectsSettings (boombox/effects.js) reads
+ * and stores the level through the same object.
+ */
+
+const effectsLevel = {
+  STORAGE_KEY: 'effects',
+  LEVELS: ['off', 'reduced', 'full'],
+  media: window.matchMedia('(prefers-reduced-motion: reduce)'),
+
+  // The default until the user picks a level
+  systemLevel() {
+    return this.media.matches ? 'reduced' : 'full';
+  },
+
+  // The user's pick, or null - also when storage is unavailable
+  // (private browsing, disabled, sandboxed frames)
+  stored() {
+    try {
+      const level = localStorage.getItem(this.STORAGE_KEY);
+      return this.LEVELS.includes(level) ? level : null;
+    } catch (err) {
+      return null;
+    }
+  },
+
+  store(level) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, level);
+    } catch (err) {
+      // The level still applies for this page
+    }
+  },
+
+  apply(level) {
+    document.documentElement.dataset.effects = level;
+  }
+};
+
+effectsLevel.apply(effectsLevel.stored() || effectsLevel.systemLevel());
+
+window.effectsLevel = effectsLevel;
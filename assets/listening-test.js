@@ -0,0 +1,523 @@
+/**
+ * Listening Test
+ * ACR (1-5) rating sessions for collecting our own ground-truth MOS
+ *
+ * Declared in Markdown with:
+ *   <ol class="listening-test" data-test-id="pilot-1" data-db="boombox_pilot" data-minion-on="busy:loading">
+ *     <li data-src="clips/opus_16k.wav" data-con="opus_16k" data-ref="clips/clean.wav"></li>
+ *     <li data-src="clips/clean.wav" data-trial="reference"></li>
+ *     <li data-src="clips/amr_babble.wav" data-trial="anchor"></li>
+ *   </ol>
+ * Clip paths are relative to the site root (site-paths.js) and are
+ * exported as written.
+ *
+ * Trials are shuffled per session, must be heard to the end before they
+ * can be rated, and progress is kept in IndexedDB so a session resumes.
+ * "reference" (clean) and "anchor" (heavily degraded) trials look like any
+ * other trial and are used to screen raters on export.
+ */
+
+const ACR_SCALE = [
+  { value: 5, label: 'Excellent' },
+  { value: 4, label: 'Good' },
+  { value: 3, label: 'Fair' },
+  { value: 2, label: 'Poor' },
+  { value: 1, label: 'Bad' },
+];
+
+// Screening thresholds for hidden trials
+const REFERENCE_MIN_RATING = 4;
+const ANCHOR_MAX_RATING = 2;
+
+// Column layout of the NISQA corpus files, then our per-rating extras
+const NISQA_COLUMNS = [
+  'db', 'con', 'file', 'con_description', 'filename_deg', 'filename_ref',
+  'source', 'lang', 'votes', 'mos', 'filepath_deg', 'filepath_ref',
+];
+const RATING_COLUMNS = [
+  'trial_type', 'presentation_order', 'comment', 'rater_id', 'rated_at', 'rater_passed_screening',
+];
+
+// ============================================
+// Session Store - IndexedDB, one record per test
+// ============================================
+class ListeningTestStore {
+  static DB_NAME = 'boombox-listening-tests';
+  static STORE = 'sessions';
+
+  constructor() {
+    this.db = null;
+    this.memory = new Map();
+  }
+
+  open() {
+    if (this.db) return Promise.resolve(this.db);
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(ListeningTestStore.DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(ListeningTestStore.STORE, { keyPath: 'testId' });
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async transaction(mode, run) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(ListeningTestStore.STORE, mode);
+      const request = run(tx.objectStore(ListeningTestStore.STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+  }
+
+  // Private browsing may refuse IndexedDB - keep the session in memory then
+  async get(testId) {
+    try {
+      return await this.transaction('readonly', store => store.get(testId));
+    } catch (err) {
+      return this.memory.get(testId);
+    }
+  }
+
+  async put(session) {
+    try {
+      await this.transaction('readwrite', store => store.put(session));
+    } catch (err) {
+      this.memory.set(session.testId, session);
+    }
+  }
+
+  async delete(testId) {
+    this.memory.delete(testId);
+    try {
+      await this.transaction('readwrite', store => store.delete(testId));
+    } catch (err) {
+      // Nothing persisted
+    }
+  }
+}
+
+// ============================================
+// Listening Test Widget
+// ============================================
+class ListeningTest {
+  constructor(element, store) {
+    this.element = element;
+    this.store = store;
+    this.testId = element.dataset.testId || window.location.pathname;
+    this.db = element.dataset.db || 'boombox_listening_test';
+    this.lang = element.dataset.lang || document.documentElement.lang || 'en';
+
+    // Trials are read from the list before it is replaced by the UI
+    this.trials = Array.from(element.querySelectorAll('li[data-src]'), (item, index) => ({
+      index,
+      src: item.dataset.src,
+      ref: item.dataset.ref || '',
+      con: item.dataset.con || '',
+      description: item.dataset.description || item.textContent.trim(),
+      type: item.dataset.trial || 'stimulus',
+    }));
+
+    this.session = null;
+    // Kept in the document so the deck's VU meters pick up its play events
+    this.audio = document.createElement('audio');
+    this.audio.preload = 'auto';
+    this.audio.hidden = true;
+    this.view = document.createElement('div');
+
+    this.container = document.createElement('div');
+    this.container.className = 'listening-test';
+    this.container.setAttribute('role', 'region');
+    this.container.setAttribute('aria-label', 'Listening test');
+    if (element.dataset.minionOn) {
+      this.container.dataset.minionOn = element.dataset.minionOn;
+    }
+    this.container.append(this.audio, this.view);
+    element.replaceWith(this.container);
+
+    this.audio.addEventListener('timeupdate', () => this.renderProgress());
+    this.audio.addEventListener('ended', () => this.handleEnded());
+    this.audio.addEventListener('pause', () => this.setDeckPlaying(false));
+    this.audio.addEventListener('play', () => this.setDeckPlaying(true));
+
+    // Busy while a clip loads, until it can play through
+    this.audio.addEventListener('loadstart', () => this.container.setAttribute('aria-busy', 'true'));
+    ['canplaythrough', 'error', 'emptied'].forEach(event => {
+      this.audio.addEventListener(event, () => this.container.setAttribute('aria-busy', 'false'));
+    });
+
+    this.showIntro();
+  }
+
+  get tapeDeck() {
+    return window.boombox && window.boombox.tapeDeck;
+  }
+
+  // ----------------------------------------
+  // Session lifecycle
+  // ----------------------------------------
+  async showIntro() {
+    const saved = await this.store.get(this.testId);
+    const canResume = saved && !saved.completedAt && saved.order.length === this.trials.length;
+
+    this.view.innerHTML = `
+      <h3 class="listening-title">Listening test</h3>
+      <p>You will hear ${this.trials.length} short clips in random order.
+      Listen to each one all the way through, then rate its overall quality
+      from 5 (Excellent) to 1 (Bad). Headphones in a quiet room work best.</p>
+      <div class="listening-actions"></div>
+    `;
+    const actions = this.view.querySelector('.listening-actions');
+
+    if (canResume) {
+      const done = Object.keys(saved.ratings).length;
+      actions.append(
+        this.button(`Resume (${done}/${this.trials.length} rated)`, () => this.resume(saved), true),
+        this.button('Start over', () => this.start())
+      );
+    } else if (saved && saved.completedAt) {
+      this.session = saved;
+      actions.append(
+        this.button('View results', () => this.showResults(), true),
+        this.button('Start a new session', () => this.start())
+      );
+    } else {
+      actions.append(this.button('Start', () => this.start(), true));
+    }
+  }
+
+  async start() {
+    const order = this.trials.map(trial => trial.index);
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    this.session = {
+      testId: this.testId,
+      raterId: crypto.randomUUID ? crypto.randomUUID() : String(Date.now()),
+      order,
+      position: 0,
+      ratings: {},
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+    };
+    await this.store.put(this.session);
+    this.showTrial();
+  }
+
+  resume(saved) {
+    this.session = saved;
+    this.showTrial();
+  }
+
+  // ----------------------------------------
+  // Trial view
+  // ----------------------------------------
+  get currentTrial() {
+    return this.trials[this.session.order[this.session.position]];
+  }
+
+  showTrial() {
+    const trial = this.currentTrial;
+    const number = this.session.position + 1;
+    const saved = this.session.ratings[trial.index];
+    this.playedFully = Boolean(saved && saved.playedFully);
+
+    this.view.innerHTML = `
+      <p class="listening-position">Trial ${number} of ${this.trials.length}</p>
+      <div class="listening-player">
+        <button type="button" class="deck-btn listening-play" aria-label="Play clip">
+          <span class="btn-icon" aria-hidden="true">▶</span>
+        </button>
+        <div class="listening-progress" role="progressbar" aria-label="Playback" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+          <div class="listening-progress-fill"></div>
+        </div>
+      </div>
+      <fieldset class="listening-rating" disabled>
+        <legend>Overall quality</legend>
+        <p class="listening-hint">Listen to the whole clip to unlock the rating.</p>
+      </fieldset>
+      <label class="listening-comment">Comment (optional)
+        <textarea rows="2"></textarea>
+      </label>
+      <div class="listening-actions"></div>
+    `;
+
+    this.playBtn = this.view.querySelector('.listening-play');
+    this.progress = this.view.querySelector('.listening-progress');
+    this.fieldset = this.view.querySelector('.listening-rating');
+    this.comment = this.view.querySelector('textarea');
+    this.comment.value = saved ? saved.comment : '';
+
+    ACR_SCALE.forEach(({ value, label }) => {
+      const option = document.createElement('label');
+      option.className = 'listening-option';
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.setAttribute('name', `acr-${this.testId}`);
+      input.value = value;
+      const text = document.createElement('span');
+      text.textContent = `${value} · ${label}`;
+      option.append(input, ' ', text);
+      input.checked = Boolean(saved && saved.rating === value);
+      input.addEventListener('change', () => this.updateNext());
+      this.fieldset.appendChild(option);
+    });
+
+    this.nextBtn = this.button(number === this.trials.length ? 'Finish' : 'Next', () => this.submit(), true);
+    const actions = this.view.querySelector('.listening-actions');
+    if (this.session.position > 0) {
+      actions.appendChild(this.button('Back', () => this.go(-1)));
+    }
+    actions.appendChild(this.nextBtn);
+
+    this.playBtn.addEventListener('click', () => this.togglePlayback());
+
+    this.audio.pause();
+    this.audio.src = siteUrl(trial.src);
+    this.audio.load();
+
+    // Load the clip "into" the deck - the label never reveals the trial type
+    if (this.tapeDeck) {
+      this.tapeDeck.loadTape(`Trial ${number}`);
+    }
+
+    this.fieldset.disabled = !this.playedFully;
+    this.updateNext();
+    this.renderProgress();
+  }
+
+  togglePlayback() {
+    if (this.audio.paused) {
+      // Replays start from the top - no skipping ahead
+      if (this.audio.ended) this.audio.currentTime = 0;
+      this.audio.play().catch(() => {
+        this.view.querySelector('.listening-hint').textContent = 'This clip could not be played.';
+      });
+    } else {
+      this.audio.pause();
+    }
+  }
+
+  handleEnded() {
+    this.playedFully = true;
+    this.fieldset.disabled = false;
+    this.view.querySelector('.listening-hint').textContent = 'Rate the clip you just heard.';
+    this.updateNext();
+  }
+
+  renderProgress() {
+    if (!this.progress) return;
+
+    const percent = this.audio.duration ? (this.audio.currentTime / this.audio.duration) * 100 : 0;
+    this.progress.style.setProperty('--progress', `${percent}%`);
+    this.progress.setAttribute('aria-valuenow', Math.round(percent));
+
+    const playing = !this.audio.paused;
+    this.playBtn.setAttribute('aria-label', playing ? 'Pause clip' : 'Play clip');
+    this.playBtn.querySelector('.btn-icon').textContent = playing ? '❚❚' : '▶';
+  }
+
+  get selectedRating() {
+    const checked = this.fieldset.querySelector('input:checked');
+    return checked ? Number(checked.value) : null;
+  }
+
+  updateNext() {
+    this.nextBtn.disabled = !this.playedFully || this.selectedRating === null;
+  }
+
+  async submit() {
+    const trial = this.currentTrial;
+    this.session.ratings[trial.index] = {
+      rating: this.selectedRating,
+      comment: this.comment.value.trim(),
+      playedFully: true,
+      presentationOrder: this.session.position + 1,
+      ratedAt: new Date().toISOString(),
+    };
+
+    if (this.session.position === this.trials.length - 1) {
+      this.session.completedAt = new Date().toISOString();
+      await this.store.put(this.session);
+      this.showResults();
+      return;
+    }
+
+    await this.go(1);
+  }
+
+  async go(delta) {
+    this.session.position = Math.min(this.trials.length - 1, Math.max(0, this.session.position + delta));
+    await this.store.put(this.session);
+    this.showTrial();
+  }
+
+  // ----------------------------------------
+  // Results and export
+  // ----------------------------------------
+  get screening() {
+    const failures = this.trials.filter(trial => {
+      const rating = this.session.ratings[trial.index];
+      if (!rating) return false;
+      if (trial.type === 'reference') return rating.rating < REFERENCE_MIN_RATING;
+      if (trial.type === 'anchor') return rating.rating > ANCHOR_MAX_RATING;
+      return false;
+    });
+    return { passed: failures.length === 0, failures };
+  }
+
+  showResults() {
+    this.audio.pause();
+    if (this.tapeDeck) {
+      this.tapeDeck.releaseTape();
+    }
+
+    const { passed } = this.screening;
+    this.view.innerHTML = `
+      <h3 class="listening-title">Thanks for listening</h3>
+      <p>${Object.keys(this.session.ratings).length} of ${this.trials.length} clips rated.
+      Rater screening: <strong class="${passed ? 'passed' : 'failed'}">${passed ? 'passed' : 'failed'}</strong>.</p>
+      <div class="listening-actions"></div>
+    `;
+
+    this.view.querySelector('.listening-actions').append(
+      this.button('Download CSV', () => this.download('csv'), true),
+      this.button('Download JSON', () => this.download('json')),
+      this.button('Start a new session', () => this.start())
+    );
+  }
+
+  rows() {
+    const { passed } = this.screening;
+    const basename = path => (path ? path.split('/').pop() : '');
+
+    return this.trials
+      .filter(trial => this.session.ratings[trial.index])
+      .map(trial => {
+        const rating = this.session.ratings[trial.index];
+        return {
+          db: this.db,
+          con: trial.con,
+          file: basename(trial.src).replace(/\.[^.]+$/, ''),
+          con_description: trial.description,
+          filename_deg: basename(trial.src),
+          filename_ref: basename(trial.ref),
+          source: 'listening_test',
+          lang: this.lang,
+          votes: 1,
+          mos: rating.rating,
+          filepath_deg: trial.src,
+          filepath_ref: trial.ref,
+          trial_type: trial.type,
+          presentation_order: rating.presentationOrder,
+          comment: rating.comment,
+          rater_id: this.session.raterId,
+          rated_at: rating.ratedAt,
+          rater_passed_screening: passed,
+        };
+      })
+      .sort((a, b) => a.presentation_order - b.presentation_order);
+  }
+
+  toCsv() {
+    const columns = [...NISQA_COLUMNS, ...RATING_COLUMNS];
+    const escape = value => {
+      const text = String(value ?? '');
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.join(',')];
+    this.rows().forEach(row => lines.push(columns.map(column => escape(row[column])).join(',')));
+    return `${lines.join('\n')}\n`;
+  }
+
+  toJson() {
+    return JSON.stringify({
+      test_id: this.testId,
+      rater_id: this.session.raterId,
+      started_at: this.session.startedAt,
+      completed_at: this.session.completedAt,
+      scale: 'ACR',
+      screening: {
+        passed: this.screening.passed,
+        reference_min_rating: REFERENCE_MIN_RATING,
+        anchor_max_rating: ANCHOR_MAX_RATING,
+      },
+      columns: [...NISQA_COLUMNS, ...RATING_COLUMNS],
+      ratings: this.rows(),
+    }, null, 2);
+  }
+
+  download(format) {
+    const content = format === 'csv' ? this.toCsv() : this.toJson();
+    const type = format === 'csv' ? 'text/csv' : 'application/json';
+    const url = URL.createObjectURL(new Blob([content], { type }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${this.testId.replace(/[^\w-]+/g, '_')}_${this.session.raterId}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  // ----------------------------------------
+  // Helpers
+  // ----------------------------------------
+  button(text, onClick, primary = false) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = `listening-btn${primary ? ' primary' : ''}`;
+    btn.textContent = text;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  // Spin the deck reels while a clip plays (VU meters follow the <audio>)
+  setDeckPlaying(playing) {
+    const slot = document.querySelector('.deck-slot');
+    if (this.tapeDeck) {
+      this.tapeDeck.setPlaying(this, playing);
+    } else if (slot) {
+      slot.classList.toggle('playing', playing);
+    }
+    this.renderProgress();
+  }
+
+  destroy() {
+    this.audio.pause();
+    this.setDeckPlaying(false);
+  }
+}
+
+// ============================================
+// Initialization
+// ============================================
+const listeningTestStore = new ListeningTestStore();
+let listeningTests = [];
+
+function setupListeningTests(root) {
+  root.querySelectorAll('ol.listening-test').forEach(element => {
+    if (element.querySelector('li[data-src]')) {
+      listeningTests.push(new ListeningTest(element, listeningTestStore));
+    }
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => setupListeningTests(document));
+
+document.addEventListener('tapedeck:swap', (e) => {
+  listeningTests.forEach(test => test.destroy());
+  listeningTests = [];
+  setupListeningTests(e.detail.viewport);
+});
@@ -0,0 +1,205 @@
+/**
+ * MOS Cost Calculator
+ * Embeddable "current vs improved" calculator built on
+ * BusinessMetricsCalculator (business-metrics.js)
+ *
+ * Declared in Markdown with:
+ *   <mos-cost-calculator mos="3.0" improved="4.0" headcount="500"></mos-cost-calculator>
+ * Inputs are mirrored into a shareable URL (?mos=3&improved=4&...),
+ * and the same query parameters prefill the calculator on load.
+ */
+
+import { BusinessMetricsCalculator } from './business-metrics.js';
+
+// Python default of $65/hour over a 2,080-hour working year
+const DEFAULT_SALARY = 65 * 2080;
+const HOURS_PER_YEAR = 2080;
+
+class MosCostCalculator extends HTMLElement {
+  static nextId = 0;
+
+  static FIELDS = [
+    { name: 'mos', label: 'Current MOS', type: 'range', min: 1, max: 5, step: 0.1, value: 3.0 },
+    { name: 'improved', label: 'Improved MOS', type: 'range', min: 1, max: 5, step: 0.1, value: 4.0 },
+    { name: 'duration', label: 'Meeting length (min)', type: 'number', min: 5, max: 480, step: 5, value: 60 },
+    { name: 'headcount', label: 'Head-count', type: 'number', min: 1, max: 1000000, step: 1, value: 500 },
+    { name: 'salary', label: 'Annual salary ($)', type: 'number', min: 0, max: 10000000, step: 1000, value: DEFAULT_SALARY },
+  ];
+
+  static METRICS = [
+    { key: 'communication_clarity_index', label: 'Clarity index (CCI)', format: value => value.toFixed(1) },
+    { key: 'effective_meeting_time_pct', label: 'Meeting effectiveness', format: value => `${value.toFixed(0)}%` },
+    { key: 'misunderstanding_probability', label: 'Misunderstanding probability', format: value => `${(value * 100).toFixed(0)}%` },
+    { key: 'annual_cost_per_employee', label: 'Annual cost per employee', format: value => MosCostCalculator.currency(value), lowerIsBetter: true },
+  ];
+
+  static currency(value) {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      maximumFractionDigits: 0
+    }).format(value);
+  }
+
+  constructor() {
+    super();
+    this.calculator = new BusinessMetricsCalculator();
+    this.inputs = {};
+  }
+
+  connectedCallback() {
+    if (this.built) return;
+    this.built = true;
+
+    this.values = this.readInitialValues();
+    this.build();
+    this.update();
+  }
+
+  // Attributes give the page's defaults; the URL overrides them
+  readInitialValues() {
+    const params = new URLSearchParams(window.location.search);
+    const values = {};
+
+    MosCostCalculator.FIELDS.forEach(field => {
+      const raw = params.get(field.name) ?? this.getAttribute(field.name);
+      const number = Number(raw);
+      values[field.name] = raw !== null && raw !== '' && Number.isFinite(number)
+        ? Math.min(field.max, Math.max(field.min, number))
+        : field.value;
+    });
+
+    return values;
+  }
+
+  build() {
+    this.classList.add('mos-calculator');
+    this.setAttribute('role', 'group');
+    this.setAttribute('aria-label', 'MOS cost calculator');
+    this.innerHTML = '';
+
+    const form = document.createElement('div');
+    form.className = 'calculator-inputs';
+
+    MosCostCalculator.FIELDS.forEach(field => {
+      const id = `${this.id || 'mos-calculator'}-${field.name}-${MosCostCalculator.nextId++}`;
+      const wrapper = document.createElement('div');
+      wrapper.className = 'calculator-field';
+
+      const label = document.createElement('label');
+      label.htmlFor = id;
+      label.textContent = field.label;
+
+      const input = document.createElement('input');
+      input.id = id;
+      input.type = field.type;
+      input.min = field.min;
+      input.max = field.max;
+      input.step = field.step;
+      input.value = this.values[field.name];
+      input.addEventListener('input', () => {
+        if (input.value === '' || !input.checkValidity()) return;
+        this.values[field.name] = Number(input.value);
+        this.update();
+      });
+
+      wrapper.append(label, input);
+
+      if (field.type === 'range') {
+        const readout = document.createElement('output');
+        readout.htmlFor = id;
+        wrapper.appendChild(readout);
+        this.inputs[`${field.name}Readout`] = readout;
+      }
+
+      this.inputs[field.name] = input;
+      form.appendChild(wrapper);
+    });
+
+    this.table = document.createElement('table');
+    this.table.className = 'calculator-results';
+    this.table.innerHTML = `
+      <thead>
+        <tr><th scope="col">Metric</th><th scope="col">Current</th><th scope="col">Improved</th><th scope="col">Change</th></tr>
+      </thead>
+      <tbody></tbody>
+    `;
+
+    this.summary = document.createElement('p');
+    this.summary.className = 'calculator-summary';
+    this.summary.setAttribute('aria-live', 'polite');
+
+    const share = document.createElement('div');
+    share.className = 'calculator-share';
+    this.shareLink = document.createElement('a');
+    this.shareLink.textContent = 'Link to these numbers';
+    this.copyBtn = document.createElement('button');
+    this.copyBtn.type = 'button';
+    this.copyBtn.textContent = 'Copy link';
+    this.copyBtn.addEventListener('click', () => this.copyLink());
+    share.append(this.shareLink, this.copyBtn);
+
+    this.append(form, this.table, this.summary, share);
+  }
+
+  update() {
+    const { mos, improved, duration, headcount, salary } = this.values;
+    const options = { durationMinutes: duration, hourlyRate: salary / HOURS_PER_YEAR };
+
+    const current = this.calculator.calculateAllMetrics(mos, options);
+    const better = this.calculator.calculateAllMetrics(improved, options);
+
+    this.inputs.mosReadout.textContent = mos.toFixed(1);
+    this.inputs.improvedReadout.textContent = improved.toFixed(1);
+
+    const tbody = this.table.tBodies[0];
+    tbody.innerHTML = '';
+    MosCostCalculator.METRICS.forEach(metric => {
+      const row = tbody.insertRow();
+      const delta = better[metric.key] - current[metric.key];
+      const improvedRow = metric.lowerIsBetter ? delta < 0 : delta > 0;
+      const sign = delta > 0 ? '+' : delta < 0 ? '−' : '';
+
+      const header = document.createElement('th');
+      header.scope = 'row';
+      header.textContent = metric.label;
+      row.appendChild(header);
+      row.insertCell().textContent = metric.format(current[metric.key]);
+      row.insertCell().textContent = metric.format(better[metric.key]);
+
+      const change = row.insertCell();
+      change.textContent = `${sign}${metric.format(Math.abs(delta))}`;
+      change.classList.toggle('better', improvedRow);
+      change.classList.toggle('worse', delta !== 0 && !improvedRow);
+    });
+
+    const savings = (current.annual_cost_per_employee - better.annual_cost_per_employee) * headcount;
+    const people = `${headcount.toLocaleString('en-US')} employee${headcount === 1 ? '' : 's'}`;
+    this.summary.textContent = savings >= 0
+      ? `Moving ${people} from MOS ${mos.toFixed(1)} to ${improved.toFixed(1)} saves ${MosCostCalculator.currency(savings)} a year.`
+      : `Moving ${people} from MOS ${mos.toFixed(1)} to ${improved.toFixed(1)} costs ${MosCostCalculator.currency(-savings)} a year.`;
+
+    this.shareLink.href = this.shareUrl();
+  }
+
+  shareUrl() {
+    const url = new URL(window.location.href);
+    MosCostCalculator.FIELDS.forEach(field => {
+      url.searchParams.set(field.name, String(this.values[field.name]));
+    });
+    url.hash = this.id ? `#${this.id}` : '';
+    return url.href;
+  }
+
+  async copyLink() {
+    try {
+      await navigator.clipboard.writeText(this.shareUrl());
+      this.copyBtn.textContent = 'Copied!';
+    } catch (err) {
+      this.copyBtn.textContent = 'Copy failed';
+    }
+    setTimeout(() => { this.copyBtn.textContent = 'Copy link'; }, 1500);
+  }
+}
+
+customElements.define('mos-cost-calculator', MosCostCalculator);
@@ -0,0 +1,243 @@
+/**
+ * Noise Renderer
+ * Draws the CRT static for NoiseGenerator (boombox/noise-generator.js).
+ * Loaded as a worker it draws to the page's canvas through an
+ * OffscreenCanvas; as a plain script it is the main-thread fallback.
+ * Either way it is driven by messages:
+ *   { type: 'init', canvas, width, height, tint }
+ *   { type: 'resize', width, height }
+ *   { type: 'tint', tint }
+ *   { type: 'burst', id, duration, intensity, pattern }
+ *   { type: 'stop' }
+ * and it answers { type: 'done', id } when a burst has played out.
+ *
+ * Noise comes from a small pool of frames generated once per size and
+ * tint, so a burst only draws images - no per-pixel work per frame.
+ * The worker also generates pools for a main-thread renderer:
+ *   { type: 'pools', id, width, height, tint }
+ * answered with { type: 'pools', id, static, tinted } (ImageBitmaps),
+ * or { type: 'pools', id, error } if they couldn't be made.
+ *
+ * Patterns:
+ *   tinted  - snow with the faction's colour cast
+ *   static  - plain grey snow
+ *   band    - faint tinted snow with a bright band rolling down,
+ *             like a tape losing tracking
+ */
+
+const NOISE_POOL_SIZE = 4;
+const NOISE_FADE_START = 0.7;    // fraction of the burst before fading out
+const NOISE_BAND_HEIGHT = 0.18;  // fraction of the canvas
+const NOISE_BAND_FLOOR = 0.35;   // snow opacity outside the band
+
+class NoiseRenderer {
+  // Grey and tinted frames from the same random fields
+  static createPools(width, height, [r, g, b]) {
+    const grey = [];
+    const tinted = [];
+
+    for (let n = 0; n < NOISE_POOL_SIZE; n++) {
+      const plain = new ImageData(width, height);
+      const cast = new ImageData(width, height);
+      for (let i = 0; i < plain.data.length; i += 4) {
+        const level = Math.random();
+        plain.data[i] = plain.data[i + 1] = plain.data[i + 2] = level * 255;
+        cast.data[i] = level * r;
+        cast.data[i + 1] = level * g;
+        cast.data[i + 2] = level * b;
+        plain.data[i + 3] = cast.data[i + 3] = 255;
+      }
+      grey.push(plain);
+      tinted.push(cast);
+    }
+
+    // Bitmaps can be drawn with globalAlpha
+    return Promise.all([...grey, ...tinted].map(image => createImageBitmap(image))).then(bitmaps => ({
+      static: bitmaps.slice(0, NOISE_POOL_SIZE),
+      tinted: bitmaps.slice(NOISE_POOL_SIZE)
+    }));
+  }
+
+  // frames: { requestFrame, cancelFrame } to use instead of requestAnimationFrame
+  // createPools: (width, height, tint) => Promise of pools, e.g. from a worker
+  constructor(post, { frames = null, createPools = NoiseRenderer.createPools } = {}) {
+    this.post = post;
+    this.frames = frames;
+    this.createPools = createPools;
+    this.canvas = null;
+    this.ctx = null;
+    this.tint = [255, 255, 255];
+    this.pools = { static: [], tinted: [] };
+    this.poolVersion = 0;
+    this.current = null;
+    this.frame = null;
+  }
+
+  handle(message) {
+    switch (message.type) {
+      case 'init':
+        this.canvas = message.canvas;
+        this.ctx = this.canvas.getContext('2d');
+        this.tint = message.tint || this.tint;
+        this.resize(message.width, message.height);
+        break;
+      case 'resize':
+        this.resize(message.width, message.height);
+        break;
+      case 'tint':
+        this.tint = message.tint;
+        this.generatePools();
+        break;
+      case 'burst':
+        this.start(message);
+        break;
+      case 'stop':
+        this.stop();
+        break;
+    }
+  }
+
+  resize(width, height) {
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.generatePools();
+  }
+
+  generatePools() {
+    const { width, height } = this.canvas;
+    if (!width || !height) return;
+
+    // A newer size or tint wins
+    const version = ++this.poolVersion;
+    this.createPools(width, height, this.tint).then(pools => {
+      if (version !== this.poolVersion) {
+        [...pools.static, ...pools.tinted].forEach(bitmap => bitmap.close());
+        return;
+      }
+      [...this.pools.static, ...this.pools.tinted].forEach(bitmap => bitmap.close());
+      this.pools = pools;
+    }).catch(() => {
+      // Keep drawing from the previous pools
+    });
+  }
+
+  requestFrame(callback) {
+    if (this.frames) {
+      return this.frames.requestFrame(callback);
+    }
+    if (typeof requestAnimationFrame === 'function') {
+      return requestAnimationFrame(callback);
+    }
+    return setTimeout(() => callback(performance.now()), 16);
+  }
+
+  cancelFrame(id) {
+    if (this.frames) {
+      this.frames.cancelFrame(id);
+    } else if (typeof cancelAnimationFrame === 'function') {
+      cancelAnimationFrame(id);
+    } else {
+      clearTimeout(id);
+    }
+  }
+
+  start(burst) {
+    this.stop();
+    this.current = { ...burst, startTime: performance.now() };
+    this.frame = this.requestFrame(time => this.draw(time));
+  }
+
+  stop() {
+    this.cancelFrame(this.frame);
+    this.frame = null;
+    this.current = null;
+    if (this.ctx) {
+      this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+  }
+
+  draw(time) {
+    const burst = this.current;
+    if (!burst) return;
+
+    const { width, height } = this.canvas;
+    const elapsed = Math.max(0, time - burst.startTime);
+    this.ctx.clearRect(0, 0, width, height);
+
+    if (elapsed >= burst.duration) {
+      this.stop();
+      this.post({ type: 'done', id: burst.id });
+      return;
+    }
+
+    // Hold, then fade out over the tail of the burst
+    const fadeStart = burst.duration * NOISE_FADE_START;
+    let opacity = burst.intensity;
+    if (elapsed > fadeStart) {
+      opacity = burst.intensity * (1 - (elapsed - fadeStart) / (burst.duration - fadeStart));
+    }
+
+    const pool = burst.pattern === 'static' ? this.pools.static : this.pools.tinted;
+    if (pool.length) {
+      const bitmap = pool[Math.floor(Math.random() * pool.length)];
+
+      if (burst.pattern === 'band') {
+        this.drawFrame(bitmap, opacity * NOISE_BAND_FLOOR);
+
+        // One roll from above the top edge to below the bottom
+        const bandHeight = height * NOISE_BAND_HEIGHT;
+        const y = (elapsed / burst.duration) * (height + bandHeight) - bandHeight;
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(0, y, width, bandHeight);
+        this.ctx.clip();
+        this.drawFrame(bitmap, Math.min(1, opacity / NOISE_BAND_FLOOR));
+        this.ctx.restore();
+      } else {
+        this.drawFrame(bitmap, opacity);
+      }
+    }
+
+    this.frame = this.requestFrame(next => this.draw(next));
+  }
+
+  // Draw at a random offset, wrapping, so a small pool doesn't read as a loop
+  drawFrame(bitmap, alpha) {
+    const { width, height } = this.canvas;
+    const dx = Math.floor(Math.random() * width);
+    const dy = Math.floor(Math.random() * height);
+
+    this.ctx.globalAlpha = alpha;
+    this.ctx.drawImage(bitmap, dx, dy);
+    this.ctx.drawImage(bitmap, dx - width, dy);
+    this.ctx.drawImage(bitmap, dx, dy - height);
+    this.ctx.drawImage(bitmap, dx - width, dy - height);
+    this.ctx.globalAlpha = 1;
+  }
+}
+
+// Loaded as a worker: draw to the transferred canvas, and generate
+// pools for a renderer on the page
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  let renderer = null;
+
+  self.onmessage = (e) => {
+    const message = e.data;
+
+    if (message.type === 'pools') {
+      const { id, width, height, tint } = message;
+      NoiseRenderer.createPools(width, height, tint).then(pools => {
+        self.postMessage({ type: 'pools', id, ...pools }, [...pools.static, ...pools.tinted]);
+      }).catch(err => {
+        self.postMessage({ type: 'pools', id, error: String(err) });
+      });
+      return;
+    }
+
+    renderer = renderer || new NoiseRenderer(reply => self.postMessage(reply));
+    renderer.handle(message);
+  };
+} else {
+  // For NoiseGenerator, which is a module and doesn't share this scope
+  window.NoiseRenderer = NoiseRenderer;
+}
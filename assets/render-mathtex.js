@@ -1,8 +1,354 @@
-let eqns = document.querySelectorAll("script[type='math/tex']");
-for (let i=eqns.length-1; i>=0; i--) {
-    let eqn = eqns[i];
-    let src = eqn.text;
-    let d = eqn.closest('p') == null; 
-    eqn.outerHTML = temml.renderToString(src, { displayMode: d });
+/**
+ * Math Rendering
+ * Renders SuperMD's script[type='math/tex'] with Temml as MathML.
+ *
+ * Display mode comes from an explicit marker when present:
+ *   type="math/tex; mode=display" or data-display="true|false"
+ * and otherwise from placement (inline equations sit inside a <p>).
+ *
+ * Display equations are numbered in page order unless they use \nonumber,
+ * \notag, a starred environment or their own \tag{}. \label{name} gives the
+ * equation the anchor #eq-name; \eqref{name} / \ref{name} in other
+ * equations, and empty links to #eq-name in prose, show its number.
+ *
+ * One bad equation shows its source with the Temml error and the rest
+ * still render. Long pages render off-screen equations lazily.
+ *
+ * Rendered equations keep their TeX in data-tex: one copy button per
+ * equation opens a menu of LaTeX, MathML or plain text, and copying a
+ * selection puts $...$ / $$...$$ TeX on the clipboard. The browser's
+ * own context menu is left alone.
+ */
+
+// Pages with more equations than this render them as they scroll into view
+const MATH_LAZY_THRESHOLD = 20;
+
+const MATH_LABEL = /\\label\{([^}]*)\}/;
+const MATH_REF = /\\(eq)?ref\{([^}]*)\}/g;
+const MATH_UNNUMBERED = /\\(nonumber|notag)\b|\\begin\{[a-z]+\*\}/;
+const MATH_TAG = /\\tag\*?\{([^}]*)\}/;
+
+function mathAnchor(label) {
+    return 'eq-' + label.trim().replace(/[^\w-]+/g, '-');
+}
+
+function isDisplayMath(script) {
+    let type = script.type.toLowerCase();
+    if (type.includes('mode=display')) return true;
+    if (type.includes('mode=inline')) return false;
+    if (script.dataset.display !== undefined) return script.dataset.display !== 'false';
+    return script.closest('p') == null;
+}
+
+/**
+ * First pass over every equation in root: decide display mode,
+ * assign numbers and collect labels so cross-references resolve
+ * no matter which equation renders first.
+ */
+function collectEquations(root) {
+    let equations = [];
+    let labels = new Map();
+    let next = 1;
+
+    root.querySelectorAll("script[type^='math/tex']").forEach(script => {
+        let source = script.text;
+        let display = isDisplayMath(script);
+        let label = (source.match(MATH_LABEL) || [])[1];
+        let tag = (source.match(MATH_TAG) || [])[1];
+        let number = null;
+
+        if (display && tag !== undefined) {
+            number = tag;
+        } else if (display && !MATH_UNNUMBERED.test(source)) {
+            number = String(next++);
+        }
+
+        let id = label ? mathAnchor(label) : (number && tag === undefined ? 'eq-' + number : null);
+        let equation = { script, source, display, label, number, id, autoNumbered: tag === undefined };
+
+        if (label) {
+            labels.set(label.trim(), equation);
+        }
+        equations.push(equation);
+    });
+
+    return { equations, labels };
+}
+
+function prepareSource(equation, labels) {
+    return equation.source
+        .replace(MATH_LABEL, '')
+        .replace(MATH_REF, (match, eq, label) => {
+            let target = labels.get(label.trim());
+            if (!target || !target.number) {
+                throw new Error('Unknown equation label "' + label + '"');
+            }
+            let text = eq ? '(' + target.number + ')' : target.number;
+            return '\\href{#' + target.id + '}{' + text + '}';
+        });
+}
+
+function mathError(equation, err) {
+    let box = document.createElement(equation.display ? 'div' : 'span');
+    box.className = 'math-error';
+    box.setAttribute('role', 'note');
+
+    let code = document.createElement('code');
+    code.textContent = equation.source.trim();
+
+    let message = document.createElement('span');
+    message.className = 'math-error-message';
+    message.textContent = err.message.replace(/^\s*(Temml parse error:)?\s*/, '');
+
+    box.append(code, ' ', message);
+    return box;
+}
+
+function renderEquation(equation, labels, target) {
+    let rendered;
+
+    try {
+        let html = temml.renderToString(prepareSource(equation, labels), {
+            displayMode: equation.display,
+            annotate: true,
+            throwOnError: true,
+            // Only the in-page links written by \eqref / \ref
+            trust: (context) => context.command === '\\href' && context.url.startsWith('#')
+        });
+
+        let template = document.createElement('template');
+        template.innerHTML = html;
+
+        rendered = document.createElement(equation.display ? 'div' : 'span');
+        rendered.className = equation.display ? 'math-display' : 'math-inline';
+        rendered.appendChild(template.content);
+
+        if (equation.number && equation.autoNumbered) {
+            let number = document.createElement('span');
+            number.className = 'eq-number';
+            number.textContent = '(' + equation.number + ')';
+            rendered.appendChild(number);
+        }
+
+        rendered.appendChild(mathCopyButton());
+    } catch (err) {
+        rendered = mathError(equation, err);
+    }
+
+    rendered.dataset.tex = equation.source;
+    if (equation.id) {
+        rendered.id = equation.id;
+    }
+
+    target.replaceWith(rendered);
+}
+
+// Empty prose links to #eq-name pick up the equation number
+function fillProseReferences(root, labels) {
+    let byId = new Map(Array.from(labels.values(), eq => [eq.id, eq]));
+
+    root.querySelectorAll("a[href^='#eq-']").forEach(link => {
+        if (link.textContent.trim() !== '') return;
+        let equation = byId.get(decodeURIComponent(link.hash.slice(1)));
+        link.textContent = equation && equation.number ? '(' + equation.number + ')' : '(??)';
+    });
+}
+
+// ============================================
+// Copying - the TeX source stays on each rendered
+// equation as data-tex
+// ============================================
+const MATH_COPY_FORMATS = [
+    { id: 'latex', label: 'Copy as LaTeX' },
+    { id: 'mathml', label: 'Copy as MathML' },
+    { id: 'text', label: 'Copy as plain text' }
+];
+
+let mathCopyMenu = null;
+
+function mathCopyButton() {
+    let button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'math-copy';
+    button.setAttribute('aria-label', 'Copy equation');
+    button.setAttribute('aria-haspopup', 'menu');
+    button.setAttribute('aria-expanded', 'false');
+    button.textContent = '⧉';
+    button.addEventListener('click', () => {
+        let box = button.getBoundingClientRect();
+        openMathCopyMenu(button.parentElement, box.left, box.bottom, button);
+    });
+    return button;
+}
+
+function mathCopyText(equation, format) {
+    let math = equation.querySelector('math');
+
+    if (format === 'mathml') {
+        return math.outerHTML;
+    }
+    if (format === 'text') {
+        // The rendered glyphs, minus the TeX annotation
+        let semantics = math.querySelector('semantics');
+        let content = semantics ? semantics.firstElementChild : math;
+        return content.textContent.replace(/\s+/g, ' ').trim();
+    }
+    return equation.dataset.tex.trim();
+}
+
+// Focus goes back to the menu button unless the menu was dismissed elsewhere
+function closeMathCopyMenu(refocus = true) {
+    if (!mathCopyMenu) return;
+
+    let { menu, trigger } = mathCopyMenu;
+    mathCopyMenu = null;
+    menu.remove();
+    trigger.setAttribute('aria-expanded', 'false');
+    if (refocus) {
+        trigger.focus();
+    }
+}
+
+function openMathCopyMenu(equation, x, y, trigger) {
+    closeMathCopyMenu();
+
+    let menu = document.createElement('div');
+    menu.className = 'math-copy-menu';
+    menu.setAttribute('role', 'menu');
+    menu.setAttribute('aria-label', 'Copy equation');
+
+    let items = MATH_COPY_FORMATS.map(format => {
+        let item = document.createElement('button');
+        item.type = 'button';
+        item.setAttribute('role', 'menuitem');
+        item.tabIndex = -1;
+        item.textContent = format.label;
+        item.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(mathCopyText(equation, format.id));
+                item.textContent = 'Copied!';
+            } catch (err) {
+                item.textContent = 'Copy failed';
+            }
+            setTimeout(() => closeMathCopyMenu(), 600);
+        });
+        return item;
+    });
+    menu.append(...items);
+
+    menu.addEventListener('keydown', (e) => {
+        let index = items.indexOf(document.activeElement);
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            let step = e.key === 'ArrowDown' ? 1 : -1;
+            items[(index + step + items.length) % items.length].focus();
+        } else if (e.key === 'Escape' || e.key === 'Tab') {
+            e.preventDefault();
+            closeMathCopyMenu();
+        }
+    });
+
+    menu.style.left = x + 'px';
+    menu.style.top = y + 'px';
+    document.body.appendChild(menu);
+    mathCopyMenu = { menu, trigger };
+
+    trigger.setAttribute('aria-expanded', 'true');
+    items[0].focus();
 }
 
+document.addEventListener('pointerdown', (e) => {
+    if (mathCopyMenu && !mathCopyMenu.menu.contains(e.target)) {
+        closeMathCopyMenu(false);
+    }
+});
+
+document.addEventListener('scroll', () => {
+    closeMathCopyMenu(false);
+}, { passive: true });
+
+// Selections that include equations copy their TeX rather than glyphs
+document.addEventListener('copy', (e) => {
+    let selection = document.getSelection();
+    if (!selection || selection.isCollapsed || !e.clipboardData) return;
+
+    let fragments = [];
+    let found = false;
+    for (let i = 0; i < selection.rangeCount; i++) {
+        let range = selection.getRangeAt(i);
+        let fragment = range.cloneContents();
+
+        // A selection starting or ending inside an equation clones
+        // only part of it - take the whole equation instead
+        let ancestor = range.commonAncestorContainer;
+        let element = ancestor.nodeType === Node.ELEMENT_NODE ? ancestor : ancestor.parentElement;
+        let enclosing = element && element.closest('.math-display, .math-inline');
+        if (enclosing) {
+            fragment = document.createDocumentFragment();
+            fragment.appendChild(enclosing.cloneNode(true));
+        }
+
+        fragment.querySelectorAll('.math-display, .math-inline').forEach(equation => {
+            let tex = equation.dataset.tex.trim();
+            let text = equation.classList.contains('math-display') ? '$$' + tex + '$$' : '$' + tex + '$';
+            equation.replaceWith(document.createTextNode(text));
+            found = true;
+        });
+        fragment.querySelectorAll('.math-copy').forEach(button => button.remove());
+        fragments.push(fragment);
+    }
+
+    if (!found) return;
+
+    // innerText needs layout to keep paragraph breaks
+    let holder = document.createElement('div');
+    holder.className = 'visually-hidden';
+    holder.style.whiteSpace = 'pre-wrap';
+    fragments.forEach(fragment => holder.appendChild(fragment));
+    document.body.appendChild(holder);
+    let text = holder.innerText;
+    holder.remove();
+
+    e.clipboardData.setData('text/plain', text);
+    e.preventDefault();
+});
+
+function renderMathTex(root) {
+    let { equations, labels } = collectEquations(root);
+    fillProseReferences(root, labels);
+
+    if (equations.length <= MATH_LAZY_THRESHOLD || !('IntersectionObserver' in window)) {
+        equations.forEach(eq => renderEquation(eq, labels, eq.script));
+        return;
+    }
+
+    // Scripts have no box to observe - stand in with a placeholder,
+    // keeping the anchor so links to unrendered equations still land
+    let pending = new Map();
+    let observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            observer.unobserve(entry.target);
+            renderEquation(pending.get(entry.target), labels, entry.target);
+            pending.delete(entry.target);
+        });
+    }, { rootMargin: '400px 0px' });
+
+    equations.forEach(eq => {
+        let placeholder = document.createElement(eq.display ? 'div' : 'span');
+        placeholder.className = 'math-pending';
+        placeholder.textContent = eq.source.trim();
+        if (eq.id) {
+            placeholder.id = eq.id;
+        }
+
+        eq.script.replaceWith(placeholder);
+        pending.set(placeholder, eq);
+        observer.observe(placeholder);
+    });
+}
+
+renderMathTex(document);
+
+// Content swapped in by the tape deck needs rendering too
+document.addEventListener('tapedeck:swap', (e) => renderMathTex(e.detail.viewport));
@@ -0,0 +1,550 @@
+/**
+ * Site Search
+ * Full-text search over the rack's pages, shown as a tape index
+ *
+ * The index is built in the browser the first time search opens: each
+ * cassette's page is loaded through the deck's prefetcher and split into
+ * sections at its headings. Queries are stemmed; "quoted phrases" must
+ * match exactly. Open with / or Ctrl+K (Cmd+K); picking a result loads
+ * the page through TapeDeck and highlights the match under its heading.
+ */
+
+const SEARCH_HEADINGS = 'h1, h2, h3, h4';
+const SEARCH_MAX_RESULTS = 12;
+const SEARCH_SNIPPET_CHARS = 160;
+
+// Weight of a match in the heading vs. the body text
+const SEARCH_HEADING_BOOST = 3;
+const SEARCH_PHRASE_BOOST = 2;
+
+const SEARCH_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with',
+]);
+
+// ============================================
+// Text helpers
+// ============================================
+
+/**
+ * Light suffix-stripping stemmer - enough to match "degradation" with
+ * "degraded" and "meetings" with "meeting" without a dictionary.
+ */
+function stemWord(word) {
+  let stem = word.toLowerCase();
+  if (stem.length <= 3) return stem;
+
+  const suffixes = [
+    'ational', 'ations', 'ation', 'ness', 'ments', 'ment', 'ingly', 'ings',
+    'ing', 'edly', 'ies', 'ied', 'ers', 'er', 'ed', 'ly', 'es', 's',
+  ];
+  for (const suffix of suffixes) {
+    if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+      stem = stem.slice(0, -suffix.length);
+      break;
+    }
+  }
+
+  // "degrad" from both "degradation" and "degrade"
+  return stem.replace(/e$/, '');
+}
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])
+    .filter(word => !SEARCH_STOP_WORDS.has(word));
+}
+
+function parseQuery(query) {
+  const phrases = [];
+  const rest = query.replace(/"([^"]+)"/g, (match, phrase) => {
+    phrases.push(phrase.trim().toLowerCase().replace(/\s+/g, ' '));
+    return ' ';
+  });
+
+  const words = tokenize(`${rest} ${phrases.join(' ')}`);
+  return { phrases, stems: [...new Set(words.map(stemWord))] };
+}
+
+// Same page whatever the index.html / trailing slash spelling
+function pagePath(url) {
+  const { pathname } = new URL(url, document.baseURI);
+  return pathname.replace(/index\.html?$/, '').replace(/\/?$/, '/');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ============================================
+// Index
+// ============================================
+class SearchIndex {
+  constructor() {
+    this.sections = [];
+    // stem -> Map(section index -> weighted term frequency)
+    this.postings = new Map();
+  }
+
+  addPage(page, href, pageTitle) {
+    let current = null;
+    let headingIndex = -1;
+
+    // Text before the first heading belongs to the page itself (index -1)
+    const start = (heading) => {
+      current = {
+        href,
+        pageTitle,
+        heading: heading ? heading.textContent.trim() : pageTitle,
+        headingId: heading ? heading.id : '',
+        headingIndex: heading ? ++headingIndex : -1,
+        text: '',
+      };
+      this.sections.push(current);
+    };
+    start(null);
+
+    const walker = document.createTreeWalker(page.content, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+      acceptNode: node => (node.nodeType === Node.ELEMENT_NODE && node.matches('script, style, template')
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT),
+    });
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        if (node.matches(SEARCH_HEADINGS)) {
+          start(node);
+        }
+      } else if (!node.parentElement.closest(SEARCH_HEADINGS)) {
+        current.text += ` ${node.textContent}`;
+      }
+    }
+  }
+
+  build() {
+    this.sections = this.sections.filter(section => section.text.trim() || section.headingIndex >= 0);
+
+    this.sections.forEach((section, index) => {
+      section.text = section.text.replace(/\s+/g, ' ').trim();
+      section.lowerText = `${section.heading} ${section.text}`.toLowerCase().replace(/\s+/g, ' ');
+
+      const add = (word, weight) => {
+        const stem = stemWord(word);
+        if (!this.postings.has(stem)) {
+          this.postings.set(stem, new Map());
+        }
+        const postings = this.postings.get(stem);
+        postings.set(index, (postings.get(index) || 0) + weight);
+      };
+
+      tokenize(section.heading).forEach(word => add(word, SEARCH_HEADING_BOOST));
+      tokenize(section.text).forEach(word => add(word, 1));
+    });
+  }
+
+  search(query) {
+    const { phrases, stems } = parseQuery(query);
+    if (stems.length === 0) return [];
+
+    const total = this.sections.length;
+    const scores = new Map();
+
+    // Every term must appear (AND); tf-idf with a log-damped tf
+    stems.forEach((stem, termIndex) => {
+      const postings = this.postings.get(stem) || new Map();
+      const idf = Math.log(1 + total / (postings.size || 1));
+
+      if (termIndex === 0) {
+        postings.forEach((tf, index) => scores.set(index, (1 + Math.log(tf)) * idf));
+      } else {
+        scores.forEach((score, index) => {
+          if (postings.has(index)) {
+            scores.set(index, score + (1 + Math.log(postings.get(index))) * idf);
+          } else {
+            scores.delete(index);
+          }
+        });
+      }
+    });
+
+    // Phrases are a filter and a boost
+    return Array.from(scores, ([index, score]) => ({ section: this.sections[index], score }))
+      .filter(({ section }) => phrases.every(phrase => section.lowerText.includes(phrase)))
+      .map(result => ({ ...result, score: result.score * (phrases.length ? SEARCH_PHRASE_BOOST : 1) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, SEARCH_MAX_RESULTS)
+      .map(result => ({ ...result, phrases, stems }));
+  }
+}
+
+// ============================================
+// Search Overlay
+// ============================================
+class SiteSearch {
+  constructor(tapeDeck) {
+    this.tapeDeck = tapeDeck;
+    this.index = null;
+    this.building = null;
+    this.results = [];
+    this.active = -1;
+    this.returnFocus = null;
+    this.lastQuery = null;
+
+    this.trigger = document.querySelector('.search-btn');
+    this.createOverlay();
+
+    document.addEventListener('keydown', (e) => this.handleGlobalKeydown(e));
+    if (this.trigger) {
+      this.trigger.addEventListener('click', () => this.open());
+    }
+  }
+
+  createOverlay() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'search-overlay';
+    this.overlay.hidden = true;
+    this.overlay.innerHTML = `
+      <div class="search-jcard" role="dialog" aria-modal="true" aria-labelledby="search-title">
+        <p id="search-title" class="search-title">Tape Index</p>
+        <input type="search" class="search-input" placeholder="Search the tapes…"
+          role="combobox" aria-expanded="false" aria-controls="search-results"
+          aria-autocomplete="list" aria-describedby="search-status" autocomplete="off" spellcheck="false">
+        <p id="search-status" class="search-status" role="status"></p>
+        <ol id="search-results" class="search-results" role="listbox" aria-label="Results"></ol>
+        <p class="search-hint">↑↓ to choose · Enter to play · Esc to close · "quotes" for phrases</p>
+      </div>
+    `;
+
+    this.input = this.overlay.querySelector('.search-input');
+    this.list = this.overlay.querySelector('.search-results');
+    this.status = this.overlay.querySelector('.search-status');
+
+    this.input.addEventListener('input', () => this.update());
+    this.input.addEventListener('keydown', (e) => this.handleInputKeydown(e));
+
+    // Clicking the backdrop closes
+    this.overlay.addEventListener('pointerdown', (e) => {
+      if (e.target === this.overlay) {
+        this.close();
+      }
+    });
+
+    document.body.appendChild(this.overlay);
+  }
+
+  get isOpen() {
+    return !this.overlay.hidden;
+  }
+
+  handleGlobalKeydown(e) {
+    if (this.isOpen) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      } else if (e.key === 'Tab') {
+        // Only the input takes focus inside the dialog
+        e.preventDefault();
+        this.input.focus();
+      }
+      return;
+    }
+
+    const typing = e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]');
+    const slash = e.key === '/' && !typing && !e.ctrlKey && !e.metaKey && !e.altKey;
+    const ctrlK = e.key.toLowerCase() === 'k' && (e.ctrlKey || e.metaKey) && !e.altKey;
+
+    if (slash || ctrlK) {
+      e.preventDefault();
+      this.open();
+    }
+  }
+
+  open() {
+    if (this.isOpen) return;
+
+    this.returnFocus = document.activeElement;
+    this.overlay.hidden = false;
+    document.body.classList.add('search-open');
+    this.input.focus();
+    this.input.select();
+    this.ensureIndex().then(() => this.update());
+  }
+
+  close() {
+    this.overlay.hidden = true;
+    document.body.classList.remove('search-open');
+    this.input.setAttribute('aria-expanded', 'false');
+    if (this.returnFocus && document.contains(this.returnFocus)) {
+      this.returnFocus.focus();
+    }
+  }
+
+  // ----------------------------------------
+  // Index building
+  // ----------------------------------------
+  pages() {
+    return Array.from(document.querySelectorAll('.tape-rack .cassette[href]'), cassette => ({
+      href: cassette.href,
+      title: (cassette.querySelector('.label-text')?.textContent || cassette.dataset.section || '').trim(),
+    }));
+  }
+
+  async loadPage(href) {
+    if (this.tapeDeck) {
+      return this.tapeDeck.fetchPage(href);
+    }
+
+    const response = await fetch(href);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${href}: ${response.status}`);
+    }
+    const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+    return { url: response.url, document: doc, content: doc.querySelector('#content') };
+  }
+
+  ensureIndex() {
+    if (!this.building) {
+      this.status.textContent = 'Indexing tapes…';
+
+      this.building = Promise.allSettled(this.pages().map(async ({ href, title }) => {
+        const page = await this.loadPage(href);
+        return { page, href, title };
+      })).then(loaded => {
+        const index = new SearchIndex();
+        loaded.forEach(result => {
+          if (result.status === 'fulfilled' && result.value.page.content) {
+            const { page, href, title } = result.value;
+            index.addPage(page, href, title);
+          }
+        });
+        index.build();
+        this.index = index;
+        this.lastQuery = null;
+      });
+    }
+    return this.building;
+  }
+
+  // ----------------------------------------
+  // Results
+  // ----------------------------------------
+  update() {
+    const query = this.input.value.trim();
+    if (!this.index || query === this.lastQuery) return;
+    this.lastQuery = query;
+
+    this.results = query ? this.index.search(query) : [];
+    this.active = this.results.length ? 0 : -1;
+    this.renderResults();
+
+    if (!query) {
+      this.status.textContent = '';
+    } else if (this.results.length === 0) {
+      this.status.textContent = `No tapes match "${query}"`;
+    } else {
+      this.status.textContent = `${this.results.length} match${this.results.length === 1 ? '' : 'es'}`;
+    }
+  }
+
+  renderResults() {
+    this.list.innerHTML = '';
+    this.input.setAttribute('aria-expanded', String(this.results.length > 0));
+
+    this.results.forEach((result, index) => {
+      const { section } = result;
+      const item = document.createElement('li');
+      item.id = `search-result-${index}`;
+      item.className = 'search-result';
+      item.setAttribute('role', 'option');
+
+      const counter = document.createElement('span');
+      counter.className = 'search-counter';
+      counter.setAttribute('aria-hidden', 'true');
+      counter.textContent = String(index + 1).padStart(3, '0');
+
+      const where = document.createElement('span');
+      where.className = 'search-where';
+      where.textContent = section.headingIndex >= 0
+        ? `${section.pageTitle} › ${section.heading}`
+        : section.pageTitle;
+
+      const snippet = document.createElement('span');
+      snippet.className = 'search-snippet';
+      this.appendHighlighted(snippet, this.snippet(section.text, result), result);
+
+      item.append(counter, where, snippet);
+      item.addEventListener('pointerdown', (e) => e.preventDefault());
+      item.addEventListener('click', () => this.choose(index));
+      this.list.appendChild(item);
+    });
+
+    this.setActive(this.active);
+  }
+
+  // A window of text around the first match
+  snippet(text, { phrases, stems }) {
+    const lower = text.toLowerCase();
+    let at = phrases.length ? lower.indexOf(phrases[0]) : -1;
+
+    if (at === -1) {
+      const word = (text.match(/[\p{L}\p{N}_]+/gu) || []).find(w => stems.includes(stemWord(w)));
+      at = word ? lower.indexOf(word.toLowerCase()) : 0;
+    }
+
+    const start = Math.max(0, at - SEARCH_SNIPPET_CHARS / 3);
+    const end = Math.min(text.length, start + SEARCH_SNIPPET_CHARS);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+  }
+
+  // Regex matching query words (by stem) and phrases in displayed text
+  static matcher({ phrases, stems }) {
+    const parts = phrases.map(phrase => escapeRegExp(phrase).replace(/ /g, '\\s+'));
+    parts.push('[\\p{L}\\p{N}_]+');
+    const pattern = new RegExp(parts.join('|'), 'giu');
+
+    return text => Array.from(text.matchAll(pattern))
+      .filter(match => {
+        const value = match[0].toLowerCase().replace(/\s+/g, ' ');
+        return phrases.includes(value) || stems.includes(stemWord(value));
+      })
+      .map(match => ({ start: match.index, end: match.index + match[0].length }));
+  }
+
+  appendHighlighted(parent, text, result) {
+    let last = 0;
+    SiteSearch.matcher(result)(text).forEach(({ start, end }) => {
+      parent.append(text.slice(last, start));
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(start, end);
+      parent.appendChild(mark);
+      last = end;
+    });
+    parent.append(text.slice(last));
+  }
+
+  setActive(index) {
+    const items = this.list.children;
+    Array.from(items).forEach((item, i) => item.setAttribute('aria-selected', String(i === index)));
+    this.active = index;
+
+    if (index >= 0 && items[index]) {
+      this.input.setAttribute('aria-activedescendant', items[index].id);
+      items[index].scrollIntoView({ block: 'nearest' });
+    } else {
+      this.input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  handleInputKeydown(e) {
+    const count = this.results.length;
+
+    if (e.key === 'ArrowDown' && count) {
+      e.preventDefault();
+      this.setActive((this.active + 1) % count);
+    } else if (e.key === 'ArrowUp' && count) {
+      e.preventDefault();
+      this.setActive((this.active - 1 + count) % count);
+    } else if (e.key === 'Enter' && this.active >= 0) {
+      e.preventDefault();
+      this.choose(this.active);
+    }
+  }
+
+  // ----------------------------------------
+  // Playing a result
+  // ----------------------------------------
+  async choose(index) {
+    const result = this.results[index];
+    if (!result) return;
+
+    const { section } = result;
+    const url = new URL(section.href);
+    if (section.headingId) {
+      url.hash = section.headingId;
+    }
+
+    this.returnFocus = null;
+    this.close();
+
+    if (this.tapeDeck) {
+      // A deck still busy with another tape ignores the request
+      if (await this.tapeDeck.navigate(url.href) !== true) return;
+    } else if (pagePath(url.href) !== pagePath(window.location.href)) {
+      window.location.href = url.href;
+      return;
+    }
+
+    this.revealMatch(result);
+  }
+
+  // Scroll to the matched heading and mark the terms in its section
+  revealMatch({ section, phrases, stems }) {
+    const viewport = document.querySelector('.content-viewport') || document.querySelector('#content');
+    if (!viewport) return;
+
+    viewport.querySelectorAll('mark.search-hit').forEach(mark => mark.replaceWith(...mark.childNodes));
+
+    // Widgets may have added headings since indexing - match by text first
+    const headings = Array.from(viewport.querySelectorAll(SEARCH_HEADINGS));
+    const heading = section.headingIndex < 0
+      ? null
+      : headings.find(h => h.textContent.trim() === section.heading) || headings[section.headingIndex] || null;
+    const end = headings[heading ? headings.indexOf(heading) + 1 : 0] || null;
+
+    // Text nodes between this heading and the next
+    const range = document.createRange();
+    if (heading) {
+      range.setStartBefore(heading);
+    } else {
+      range.setStart(viewport, 0);
+    }
+    if (end) {
+      range.setEndBefore(end);
+    } else {
+      range.setEndAfter(viewport.lastChild || viewport);
+    }
+
+    const walker = document.createTreeWalker(viewport, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => (range.intersectsNode(node) && !node.parentElement.closest('script, style, .search-overlay')
+        ? NodeFilter.FILTER_ACCEPT
+        : NodeFilter.FILTER_REJECT),
+    });
+    const nodes = [];
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      nodes.push(node);
+    }
+
+    const match = SiteSearch.matcher({ phrases, stems });
+    let first = null;
+    nodes.forEach(node => {
+      const hits = match(node.textContent);
+      for (let i = hits.length - 1; i >= 0; i--) {
+        const hit = node.splitText(hits[i].start);
+        hit.splitText(hits[i].end - hits[i].start);
+        const mark = document.createElement('mark');
+        mark.className = 'search-hit';
+        hit.replaceWith(mark);
+        mark.appendChild(hit);
+        first = mark;
+      }
+    });
+
+    const target = heading || first;
+    if (target) {
+      target.scrollIntoView({ block: 'start' });
+    }
+    if (heading) {
+      heading.setAttribute('tabindex', '-1');
+      heading.focus({ preventScroll: true });
+    }
+  }
+}
+
+// ============================================
+// Initialization
+// ============================================
+let siteSearch = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+  const tapeDeck = window.boombox ? window.boombox.tapeDeck : null;
+  siteSearch = new SiteSearch(tapeDeck && tapeDeck.rack ? tapeDeck : null);
+});
@@ -0,0 +1,12 @@
+/**
+ * Site Paths
+ * Content names site files (clips, ...) relative to the site root, which
+ * the layout writes on <html data-site-root>, so pages keep working under
+ * any url_path_prefix - or none, when served locally:
+ *   <audio controls data-src="clips/clean.wav"></audio>
+ */
+
+function siteUrl(path) {
+  const root = new URL(document.documentElement.dataset.siteRoot || '/', window.location.href);
+  return new URL(path, root).href;
+}
@@ -0,0 +1,419 @@
+/**
+ * Table Charts
+ * Progressively enhances marked tables into SVG bar, line or scatter
+ * charts drawn in the current faction colours
+ *
+ * Mark a Markdown table by wrapping it in a block:
+ *   >[]($block.attrs('chart-line'))
+ *   >| MOS | CCI |
+ *   >|-----|-----|
+ *   >| 4.5 | 87.5 |
+ * or an HTML table with attributes:
+ *   <table data-chart="scatter" data-chart-x="MOS" data-chart-series="CCI,Cost">
+ * The first column labels the data (x for line/scatter charts); every other
+ * all-numeric column becomes a series unless data-chart-series names them.
+ */
+
+const CHART_TYPES = ['bar', 'line', 'scatter'];
+const CHART_SELECTOR = [
+  'table[data-chart]',
+  ...CHART_TYPES.map(type => `.chart-${type} table`),
+].join(', ');
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 320;
+const CHART_MARGIN = { top: 16, right: 16, bottom: 48, left: 56 };
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// ============================================
+// Helpers
+// ============================================
+
+function svgElement(name, attrs = {}) {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attrs).forEach(([key, value]) => element.setAttribute(key, value));
+  return element;
+}
+
+/**
+ * Read "$1,747", "41%", "+0.34" or "**0.7448**" as a number, keeping the
+ * prefix/suffix so ticks can be formatted the same way. Returns null for
+ * anything else ("4.5+", "<2.0", prose).
+ */
+function parseCell(text) {
+  const match = text.trim().replace(/\*/g, '').replace(/−/g, '-')
+    .match(/^([+-]?)(\$?)([\d,]*\.?\d+)(%?)$/);
+  if (!match) return null;
+
+  const [, sign, prefix, digits, suffix] = match;
+  const value = Number(`${sign}${digits.replace(/,/g, '')}`);
+  return Number.isFinite(value) ? { value, prefix, suffix } : null;
+}
+
+// Round tick steps to 1, 2 or 5 times a power of ten
+function niceTicks(min, max, count = 5) {
+  if (min === max) {
+    max = min + 1;
+  }
+
+  const rough = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].map(f => f * magnitude).find(s => s >= rough);
+
+  const start = Math.floor(min / step) * step;
+  const end = Math.ceil(max / step) * step;
+  const ticks = [];
+  for (let value = start; value <= end + step / 2; value += step) {
+    ticks.push(Number(value.toFixed(10)));
+  }
+  return ticks;
+}
+
+// ============================================
+// Table Chart
+// ============================================
+class TableChart {
+  static nextId = 0;
+
+  constructor(table) {
+    this.table = table;
+    this.id = `table-chart-${TableChart.nextId++}`;
+
+    const marker = table.closest(CHART_TYPES.map(type => `.chart-${type}`).join(', '));
+    const markedType = marker && CHART_TYPES.find(type => marker.classList.contains(`chart-${type}`));
+    this.type = CHART_TYPES.includes(table.dataset.chart) ? table.dataset.chart : markedType || 'bar';
+
+    this.data = this.readTable();
+    if (!this.data) return;
+
+    this.active = { series: 0, index: 0 };
+    this.build();
+  }
+
+  // ----------------------------------------
+  // Data
+  // ----------------------------------------
+  readTable() {
+    const headers = Array.from(this.table.querySelectorAll('thead th'), th => th.textContent.trim());
+    let rows = Array.from(this.table.querySelectorAll('tbody tr'), tr =>
+      Array.from(tr.cells, cell => cell.textContent.trim())
+    );
+    if (headers.length < 2 || rows.length === 0) return null;
+
+    const column = name => {
+      const index = headers.indexOf(name);
+      return index === -1 ? null : index;
+    };
+    const parseColumns = () => headers.map((_, col) => rows.map(row => parseCell(row[col] || '')));
+    let parsed = parseColumns();
+    const numeric = parsed.map(cells => cells.every(Boolean));
+
+    const xIndex = column(this.table.dataset.chartX) ?? 0;
+    const named = (this.table.dataset.chartSeries || '')
+      .split(',')
+      .map(name => column(name.trim()))
+      .filter(index => index !== null && numeric[index]);
+    const seriesIndexes = named.length
+      ? named
+      : headers.map((_, index) => index).filter(index => index !== xIndex && numeric[index]);
+
+    if (seriesIndexes.length === 0) return null;
+
+    // Line and scatter need a numeric x axis; fall back to evenly spaced labels
+    const xNumeric = this.type !== 'bar' && numeric[xIndex];
+    if (this.type === 'scatter' && !xNumeric) {
+      this.type = 'line';
+    }
+
+    // Tables often list best-first; plot (and arrow through) left to right
+    if (xNumeric) {
+      rows = rows
+        .map((row, index) => ({ row, x: parsed[xIndex][index].value }))
+        .sort((a, b) => a.x - b.x)
+        .map(({ row }) => row);
+      parsed = parseColumns();
+    }
+
+    return {
+      xLabel: headers[xIndex],
+      labels: rows.map(row => (row[xIndex] || '').replace(/\*/g, '')),
+      xValues: xNumeric ? parsed[xIndex].map(cell => cell.value) : null,
+      xFormat: xNumeric ? parsed[xIndex][0] : null,
+      series: seriesIndexes.map(index => ({
+        name: headers[index],
+        values: parsed[index].map(cell => cell.value),
+        format: parsed[index][0],
+      })),
+    };
+  }
+
+  format(value, { prefix = '', suffix = '' } = {}) {
+    const magnitude = Math.abs(value);
+    const text = magnitude >= 1000
+      ? Math.round(magnitude).toLocaleString('en-US')
+      : String(Number(magnitude.toFixed(4)));
+    return `${value < 0 ? '−' : ''}${prefix}${text}${suffix}`;
+  }
+
+  // ----------------------------------------
+  // Chrome
+  // ----------------------------------------
+  build() {
+    this.figure = document.createElement('figure');
+    this.figure.className = `table-chart table-chart-${this.type}`;
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'table-chart-toolbar';
+
+    this.toggleBtn = document.createElement('button');
+    this.toggleBtn.type = 'button';
+    this.toggleBtn.className = 'table-chart-toggle';
+    this.toggleBtn.addEventListener('click', () => this.showTable(this.table.hidden));
+    toolbar.appendChild(this.toggleBtn);
+
+    if (this.data.series.length > 1) {
+      const legend = document.createElement('ul');
+      legend.className = 'table-chart-legend';
+      this.data.series.forEach((series, index) => {
+        const item = document.createElement('li');
+        item.className = `series-${index % 4}`;
+        item.textContent = series.name;
+        legend.appendChild(item);
+      });
+      toolbar.appendChild(legend);
+    }
+
+    this.tooltip = document.createElement('div');
+    this.tooltip.className = 'table-chart-tooltip';
+    this.tooltip.id = `${this.id}-tooltip`;
+    this.tooltip.setAttribute('aria-hidden', 'true');
+    this.tooltip.hidden = true;
+
+    this.svg = this.render();
+
+    this.figure.append(toolbar, this.svg, this.tooltip);
+    this.table.before(this.figure);
+    this.showTable(false);
+  }
+
+  showTable(visible) {
+    this.table.hidden = !visible;
+    this.svg.hidden = visible;
+    this.toggleBtn.textContent = visible ? 'Show chart' : 'Show table';
+    this.toggleBtn.setAttribute('aria-label', `${visible ? 'Show chart' : 'Show table'} for ${this.description}`);
+    if (visible) {
+      this.hideTooltip();
+    }
+  }
+
+  get description() {
+    const names = this.data.series.map(series => series.name).join(', ');
+    return `${names} by ${this.data.xLabel}`;
+  }
+
+  // ----------------------------------------
+  // Drawing
+  // ----------------------------------------
+  render() {
+    const { labels, xValues, series } = this.data;
+    const plot = {
+      left: CHART_MARGIN.left,
+      right: CHART_WIDTH - CHART_MARGIN.right,
+      top: CHART_MARGIN.top,
+      bottom: CHART_HEIGHT - CHART_MARGIN.bottom,
+    };
+
+    const svg = svgElement('svg', {
+      viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+      class: 'table-chart-svg',
+      role: 'group',
+      'aria-label': `${this.type} chart of ${this.description}. Use the arrow keys to move between points.`,
+    });
+
+    // Y scale - bars always start from zero
+    const allValues = series.flatMap(s => s.values);
+    const yTicks = niceTicks(
+      this.type === 'bar' ? Math.min(0, ...allValues) : Math.min(...allValues),
+      Math.max(...allValues)
+    );
+    const yMin = yTicks[0];
+    const yMax = yTicks[yTicks.length - 1];
+    const y = value => plot.bottom - ((value - yMin) / (yMax - yMin)) * (plot.bottom - plot.top);
+
+    // X scale - numeric for line/scatter with numeric labels, else bands
+    let x;
+    let xTicks;
+    const band = (plot.right - plot.left) / labels.length;
+    if (xValues) {
+      xTicks = niceTicks(Math.min(...xValues), Math.max(...xValues));
+      const xMin = xTicks[0];
+      const xMax = xTicks[xTicks.length - 1];
+      x = index => plot.left + ((xValues[index] - xMin) / (xMax - xMin)) * (plot.right - plot.left);
+    } else {
+      x = index => plot.left + band * (index + 0.5);
+    }
+
+    const axes = svgElement('g', { class: 'table-chart-axes', 'aria-hidden': 'true' });
+    yTicks.forEach(tick => {
+      axes.appendChild(svgElement('line', {
+        x1: plot.left, x2: plot.right, y1: y(tick), y2: y(tick), class: 'grid',
+      }));
+      const label = svgElement('text', { x: plot.left - 8, y: y(tick), 'text-anchor': 'end', 'dominant-baseline': 'middle' });
+      label.textContent = this.format(tick, series[0].format);
+      axes.appendChild(label);
+    });
+
+    const xLabels = xValues
+      ? xTicks.map(tick => ({ position: plot.left + ((tick - xTicks[0]) / (xTicks[xTicks.length - 1] - xTicks[0])) * (plot.right - plot.left), text: this.format(tick, this.data.xFormat) }))
+      : labels.map((text, index) => ({ position: x(index), text }));
+    xLabels.forEach(({ position, text }) => {
+      const label = svgElement('text', { x: position, y: plot.bottom + 18, 'text-anchor': 'middle' });
+      label.textContent = text;
+      axes.appendChild(label);
+    });
+
+    const axisTitle = svgElement('text', { x: (plot.left + plot.right) / 2, y: CHART_HEIGHT - 8, 'text-anchor': 'middle', class: 'axis-title' });
+    axisTitle.textContent = this.data.xLabel;
+    axes.append(
+      svgElement('line', { x1: plot.left, x2: plot.right, y1: plot.bottom, y2: plot.bottom, class: 'axis' }),
+      axisTitle
+    );
+    svg.appendChild(axes);
+
+    // Data points, one group per series
+    this.points = series.map((s, seriesIndex) => {
+      const group = svgElement('g', { class: `table-chart-series series-${seriesIndex % 4}` });
+
+      if (this.type === 'line') {
+        const path = s.values.map((value, index) => `${index ? 'L' : 'M'}${x(index)},${y(value)}`).join(' ');
+        group.appendChild(svgElement('path', { d: path, class: 'line' }));
+      }
+
+      const points = s.values.map((value, index) => {
+        let point;
+        if (this.type === 'bar') {
+          const width = (band * 0.8) / series.length;
+          const left = plot.left + band * index + band * 0.1 + width * seriesIndex;
+          const top = Math.min(y(value), y(0));
+          point = svgElement('rect', {
+            x: left, y: top, width, height: Math.abs(y(value) - y(0)), class: 'point bar',
+          });
+        } else {
+          point = svgElement('circle', { cx: x(index), cy: y(value), r: 5, class: 'point' });
+        }
+
+        point.setAttribute('tabindex', '-1');
+        point.setAttribute('role', 'img');
+        point.setAttribute('aria-label', this.pointText(seriesIndex, index));
+        point.addEventListener('pointerenter', () => this.showTooltip(seriesIndex, index));
+        point.addEventListener('pointerleave', () => this.hideTooltip());
+        point.addEventListener('focus', () => {
+          this.active = { series: seriesIndex, index };
+          this.showTooltip(seriesIndex, index);
+        });
+        point.addEventListener('blur', () => this.hideTooltip());
+
+        group.appendChild(point);
+        return point;
+      });
+
+      svg.appendChild(group);
+      return points;
+    });
+
+    // One tab stop for the whole chart, arrows move between points
+    this.points[0][0].setAttribute('tabindex', '0');
+    svg.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+    return svg;
+  }
+
+  pointText(seriesIndex, index) {
+    const series = this.data.series[seriesIndex];
+    return `${series.name}: ${this.format(series.values[index], series.format)} at ${this.data.xLabel} ${this.data.labels[index]}`;
+  }
+
+  // ----------------------------------------
+  // Interaction
+  // ----------------------------------------
+  handleKeydown(e) {
+    const count = this.data.labels.length;
+    const seriesCount = this.data.series.length;
+    let { series, index } = this.active;
+
+    switch (e.key) {
+      case 'ArrowRight':
+        index = (index + 1) % count;
+        break;
+      case 'ArrowLeft':
+        index = (index - 1 + count) % count;
+        break;
+      case 'ArrowDown':
+        series = (series + 1) % seriesCount;
+        break;
+      case 'ArrowUp':
+        series = (series - 1 + seriesCount) % seriesCount;
+        break;
+      case 'Home':
+        index = 0;
+        break;
+      case 'End':
+        index = count - 1;
+        break;
+      case 'Escape':
+        this.hideTooltip();
+        return;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    this.focusPoint(series, index);
+  }
+
+  focusPoint(series, index) {
+    this.points.flat().forEach(point => point.setAttribute('tabindex', '-1'));
+    const point = this.points[series][index];
+    point.setAttribute('tabindex', '0');
+    point.focus();
+  }
+
+  showTooltip(seriesIndex, index) {
+    const point = this.points[seriesIndex][index];
+    const box = point.getBoundingClientRect();
+    const frame = this.figure.getBoundingClientRect();
+
+    this.points.flat().forEach(p => p.classList.remove('active'));
+    point.classList.add('active');
+
+    this.tooltip.textContent = this.pointText(seriesIndex, index);
+    this.tooltip.hidden = false;
+    this.tooltip.style.left = `${box.left + box.width / 2 - frame.left}px`;
+    this.tooltip.style.top = `${box.top - frame.top}px`;
+  }
+
+  hideTooltip() {
+    this.tooltip.hidden = true;
+    if (this.points) {
+      this.points.flat().forEach(p => p.classList.remove('active'));
+    }
+  }
+}
+
+// ============================================
+// Initialization
+// ============================================
+function setupTableCharts(root) {
+  root.querySelectorAll(CHART_SELECTOR).forEach(table => {
+    if (table.dataset.chartReady) return;
+    table.dataset.chartReady = 'true';
+    new TableChart(table);
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => setupTableCharts(document));
+
+document.addEventListener('tapedeck:swap', (e) => {
+  setupTableCharts(e.detail.viewport);
+});
@@ -0,0 +1,171 @@
+/**
+ * Faction Themes
+ * Registry of factions (palette, noise tint, minion skin) and display
+ * variants. Loaded as a blocking script in <head> so the stored theme is
+ * on <html> before first paint; FactionToggle (boombox/faction-toggle.js)
+ * builds its buttons from the same registry.
+ *
+ * Adding a faction:
+ *   themeRegistry.define('jazz', {
+ *     name: 'Jazz', description: 'blue', icon: '🎷',
+ *     palette: { primary, secondary, accent, glow },
+ *     variants: { light: { primary, ... } },   // optional overrides
+ *     noiseTint: [r, g, b],
+ *     minion: { eye },                          // optional
+ *   });
+ */
+
+class ThemeRegistry {
+  static STORAGE_KEY = 'theme';
+  static LEGACY_KEY = 'faction';
+  static VARIANTS = ['dark', 'light', 'contrast'];
+
+  constructor(defaultFaction) {
+    this.factions = new Map();
+    this.defaultFaction = defaultFaction;
+    this.contrastQuery = window.matchMedia('(prefers-contrast: more)');
+    this.lightQuery = window.matchMedia('(prefers-color-scheme: light)');
+  }
+
+  define(id, theme) {
+    this.factions.set(id, { id, variants: {}, minion: {}, ...theme });
+    return this;
+  }
+
+  get(id) {
+    return this.factions.get(id) || this.factions.get(this.defaultFaction);
+  }
+
+  /**
+   * Stored choice as { faction, variant }. A null variant means
+   * "follow the system". Picks up the old bare `faction` key once.
+   */
+  load() {
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(ThemeRegistry.STORAGE_KEY));
+    } catch (err) {
+      // Corrupt value - fall through to defaults
+    }
+
+    const legacy = localStorage.getItem(ThemeRegistry.LEGACY_KEY);
+    const faction = stored && this.factions.has(stored.faction)
+      ? stored.faction
+      : this.factions.has(legacy) ? legacy : this.defaultFaction;
+    const variant = stored && ThemeRegistry.VARIANTS.includes(stored.variant) ? stored.variant : null;
+
+    return { faction, variant };
+  }
+
+  save(choice) {
+    localStorage.setItem(ThemeRegistry.STORAGE_KEY, JSON.stringify(choice));
+    localStorage.removeItem(ThemeRegistry.LEGACY_KEY);
+  }
+
+  systemVariant() {
+    if (this.contrastQuery.matches) return 'contrast';
+    if (this.lightQuery.matches) return 'light';
+    return 'dark';
+  }
+
+  // Write the resolved theme onto <html>; returns { theme, variant }
+  apply(choice) {
+    const theme = this.get(choice.faction);
+    const variant = choice.variant || this.systemVariant();
+    const palette = { ...theme.palette, ...theme.variants[variant] };
+    const root = document.documentElement;
+
+    root.dataset.faction = theme.id;
+    root.dataset.variant = variant;
+    root.style.setProperty('--faction-primary', palette.primary);
+    root.style.setProperty('--faction-secondary', palette.secondary);
+    root.style.setProperty('--faction-accent', palette.accent);
+    root.style.setProperty('--faction-glow', palette.glow);
+
+    // Without a skin the minion SVGs keep their own eye gradients
+    root.toggleAttribute('data-minion-skin', Boolean(theme.minion.eye));
+    if (theme.minion.eye) {
+      root.style.setProperty('--minion-eye', theme.minion.eye);
+    }
+
+    return { theme, variant };
+  }
+}
+
+// ============================================
+// Factions
+// ============================================
+const themeRegistry = new ThemeRegistry('soundwave')
+  .define('soundwave', {
+    name: 'Soundwave',
+    description: 'purple',
+    icon: '🔊',
+    palette: {
+      primary: 'rgb(147, 112, 219)',
+      secondary: 'rgb(75, 0, 130)',
+      accent: 'rgb(200, 180, 255)',
+      glow: 'rgba(147, 112, 219, 0.6)',
+    },
+    variants: {
+      light: { primary: 'rgb(102, 51, 153)', accent: 'rgb(75, 0, 130)', glow: 'rgba(102, 51, 153, 0.35)' },
+      contrast: { primary: 'rgb(200, 180, 255)', glow: 'transparent' },
+    },
+    noiseTint: [215, 200, 255],
+  })
+  .define('blaster', {
+    name: 'Blaster',
+    description: 'orange',
+    icon: '📻',
+    palette: {
+      primary: 'rgb(255, 140, 0)',
+      secondary: 'rgb(178, 34, 34)',
+      accent: 'rgb(255, 215, 0)',
+      glow: 'rgba(255, 140, 0, 0.6)',
+    },
+    variants: {
+      light: { primary: 'rgb(178, 80, 0)', accent: 'rgb(178, 34, 34)', glow: 'rgba(178, 80, 0, 0.35)' },
+      contrast: { primary: 'rgb(255, 215, 0)', glow: 'transparent' },
+    },
+    noiseTint: [255, 225, 190],
+    minion: { eye: 'rgb(255, 215, 0)' },
+  })
+  .define('soundblaster', {
+    name: 'Soundblaster',
+    description: 'crimson',
+    icon: '🎛',
+    palette: {
+      primary: 'rgb(220, 20, 60)',
+      secondary: 'rgb(60, 60, 60)',
+      accent: 'rgb(255, 120, 140)',
+      glow: 'rgba(220, 20, 60, 0.6)',
+    },
+    variants: {
+      light: { primary: 'rgb(165, 0, 35)', accent: 'rgb(60, 60, 60)', glow: 'rgba(165, 0, 35, 0.35)' },
+      contrast: { primary: 'rgb(255, 120, 140)', glow: 'transparent' },
+    },
+    noiseTint: [255, 200, 200],
+    minion: { eye: 'rgb(255, 120, 140)' },
+  })
+  .define('jazz', {
+    name: 'Jazz',
+    description: 'blue',
+    icon: '🎷',
+    palette: {
+      primary: 'rgb(30, 144, 255)',
+      secondary: 'rgb(0, 51, 102)',
+      accent: 'rgb(173, 216, 230)',
+      glow: 'rgba(30, 144, 255, 0.6)',
+    },
+    variants: {
+      light: { primary: 'rgb(0, 90, 170)', accent: 'rgb(0, 51, 102)', glow: 'rgba(0, 90, 170, 0.35)' },
+      contrast: { primary: 'rgb(173, 216, 230)', glow: 'transparent' },
+    },
+    noiseTint: [200, 225, 255],
+    minion: { eye: 'rgb(0, 255, 255)' },
+  });
+
+// Before first paint - see FactionToggle for the live side
+themeRegistry.apply(themeRegistry.load());
+
+// For the boombox modules, which don't share this script's scope
+window.themeRegistry = themeRegistry;
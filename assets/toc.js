@@ -0,0 +1,194 @@
+/**
+ * Table of Contents
+ * Builds an "On this page" list from the page's h2/h3 headings,
+ * marks the heading being read and drives the deck's tape counter
+ * with reading progress (000 at the top, 999 at the end)
+ *
+ * Headings without an id get one from their text so every section
+ * can be linked to; each heading also gets a # self-link.
+ */
+
+const TOC_HEADINGS = 'h2, h3';
+const TOC_MIN_HEADINGS = 3;
+
+// A heading counts as "current" once it passes this far below the top
+const TOC_SPY_OFFSET = 120;
+
+function headingSlug(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/[\s_]+/g, '-')
+    .replace(/-+/g, '-') || 'section';
+}
+
+// ============================================
+// Table of Contents
+// ============================================
+class TableOfContents {
+  constructor(viewport, tapeDeck = null) {
+    this.viewport = viewport;
+    this.tapeDeck = tapeDeck;
+    this.headings = Array.from(viewport.querySelectorAll(TOC_HEADINGS))
+      .filter(heading => !heading.closest('.toc, .search-overlay'));
+    this.links = new Map();
+    this.current = null;
+    this.frame = null;
+
+    this.assignIds();
+    if (this.headings.length >= TOC_MIN_HEADINGS) {
+      this.build();
+    }
+
+    this.handleScroll = () => {
+      if (this.frame) return;
+      this.frame = requestAnimationFrame(() => {
+        this.frame = null;
+        this.update();
+      });
+    };
+    window.addEventListener('scroll', this.handleScroll, { passive: true });
+    window.addEventListener('resize', this.handleScroll);
+
+    // Let the deck finish its transition before taking the counter
+    requestAnimationFrame(() => this.update());
+  }
+
+  assignIds() {
+    const used = new Set(Array.from(document.querySelectorAll('[id]'), el => el.id));
+
+    this.headings.forEach(heading => {
+      if (!heading.id) {
+        const base = headingSlug(heading.textContent);
+        let id = base;
+        for (let n = 2; used.has(id); n++) {
+          id = `${base}-${n}`;
+        }
+        heading.id = id;
+        used.add(id);
+      }
+
+      // Self-link; the "#" is drawn in CSS so heading text stays clean
+      if (!heading.querySelector('.heading-anchor')) {
+        const anchor = document.createElement('a');
+        anchor.className = 'heading-anchor';
+        anchor.href = `#${heading.id}`;
+        anchor.setAttribute('aria-label', `Link to section: ${heading.textContent.trim()}`);
+        heading.appendChild(anchor);
+      }
+    });
+  }
+
+  build() {
+    this.nav = document.createElement('nav');
+    this.nav.className = 'toc';
+    this.nav.setAttribute('aria-labelledby', 'toc-title');
+
+    const title = document.createElement('p');
+    title.id = 'toc-title';
+    title.className = 'toc-title';
+    title.textContent = 'On this page';
+    this.nav.appendChild(title);
+
+    // h3s nest under the preceding h2
+    const list = document.createElement('ol');
+    let sublist = null;
+    this.headings.forEach(heading => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = `#${heading.id}`;
+      link.textContent = heading.textContent.trim();
+      item.appendChild(link);
+      this.links.set(heading, link);
+
+      if (heading.tagName === 'H3' && sublist) {
+        sublist.appendChild(item);
+      } else {
+        list.appendChild(item);
+        sublist = document.createElement('ol');
+        item.appendChild(sublist);
+      }
+    });
+    list.querySelectorAll('ol:empty').forEach(empty => empty.remove());
+    this.nav.appendChild(list);
+
+    const h1 = this.viewport.querySelector('h1');
+    if (h1) {
+      h1.after(this.nav);
+    } else {
+      this.viewport.prepend(this.nav);
+    }
+  }
+
+  update() {
+    const rect = this.viewport.getBoundingClientRect();
+    const scrollable = rect.height - window.innerHeight;
+    const progress = scrollable > 0 ? -rect.top / scrollable : 1;
+
+    if (this.tapeDeck) {
+      this.tapeDeck.setTapePosition(progress);
+    }
+
+    // Last heading that has scrolled past the spy line
+    let current = null;
+    this.headings.forEach(heading => {
+      if (heading.getBoundingClientRect().top <= TOC_SPY_OFFSET) {
+        current = heading;
+      }
+    });
+    this.setCurrent(current);
+  }
+
+  setCurrent(heading) {
+    if (heading === this.current) return;
+
+    const previous = this.links.get(this.current);
+    if (previous) {
+      previous.removeAttribute('aria-current');
+    }
+
+    this.current = heading;
+    const link = this.links.get(heading);
+    if (link) {
+      link.setAttribute('aria-current', 'location');
+    }
+  }
+
+  destroy() {
+    window.removeEventListener('scroll', this.handleScroll);
+    window.removeEventListener('resize', this.handleScroll);
+    if (this.frame) {
+      cancelAnimationFrame(this.frame);
+    }
+  }
+}
+
+// ============================================
+// Initialization
+// ============================================
+let tableOfContents = null;
+
+function setupTableOfContents(viewport) {
+  if (tableOfContents) {
+    tableOfContents.destroy();
+  }
+  if (!viewport) return;
+
+  const tapeDeck = window.boombox ? window.boombox.tapeDeck : null;
+  tableOfContents = new TableOfContents(viewport, tapeDeck);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  setupTableOfContents(document.querySelector('.content-viewport'));
+
+  // Generated ids didn't exist when the browser looked for the hash
+  const target = window.location.hash && document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+  if (target && target.matches(TOC_HEADINGS)) {
+    target.scrollIntoView();
+  }
+});
+
+document.addEventListener('tapedeck:swap', (e) => setupTableOfContents(e.detail.viewport));